@@ -0,0 +1,226 @@
+/**
+ * AIPlayer.js - Computer Opponent for Snooker Game
+ * This class plays one side of the frame. It lists pots on every ball on into every pocket,
+ * plays the most promising ones out in the shot simulator and takes the best, with aim and
+ * power errors that grow as the difficulty goes down. Shots go through the same cue as a human's
+ */
+
+class AIPlayer {
+    // Constructor for AIPlayer class - pots come from the shot hints and are played out by the shared simulator
+    constructor(shotSimulator, shotHints, rng) {
+        this.shotSimulator = shotSimulator;
+        this.shotHints = shotHints;
+        this.rng = rng;// Seeded random generator shared with the game
+        this.playerIndex = 1;// Computer plays as Player 2
+        this.level = null;// Difficulty name, null when the computer is off
+
+        // Difficulty levels - more pots, powers and angles tried, smaller errors (radians and fraction of power)
+        this.levels = {
+            easy: { candidates: 3, powers: [55], angles: 3, aimError: 0.015, powerError: 0.2, placements: 1 },
+            medium: { candidates: 8, powers: [40, 65], angles: 5, aimError: 0.005, powerError: 0.08, placements: 4 },
+            hard: { candidates: 15, powers: [35, 55, 80], angles: 9, aimError: 0.001, powerError: 0.02, placements: 8 }
+        };
+
+        // Turn state
+        this.plan = null;// Candidates still to simulate and the best shot so far
+        this.shot = null;// Chosen aim point and power
+        this.aimTimer = 0;// Frames left showing the aim before shooting
+        this.aimFrames = 60;// Show the aim for 1 second
+        this.simulationsPerFrame = 4;// Spread the thinking over frames so drawing keeps going
+        this.angleStep = 0.015;// Radians between the angles tried for each pot
+    }
+
+    // Switch to the next difficulty - off, easy, medium, hard, then off again
+    cycleLevel() {
+        let levels = [null].concat(Object.keys(this.levels));
+        this.level = levels[(levels.indexOf(this.level) + 1) % levels.length];
+        this.reset();
+        console.log(`COMPUTER OPPONENT: ${this.getLevelName()}`);
+    }
+
+    // Forget any shot being planned
+    reset() {
+        this.plan = null;
+        this.shot = null;
+        this.aimTimer = 0;
+    }
+
+    // Check if it is the computer's turn at the table
+    isTurn(frameManager) {
+        return this.level !== null && frameManager.getCurrentPlayerIndex() === this.playerIndex;
+    }
+
+    // Pick where to put the cue ball in hand - try spots and keep the one with the easiest pot
+    // Every other spot is in the D, which is valid in every game, the rest anywhere on the cloth
+    chooseCueBallPosition(table, ballManager, rules) {
+        let dZone = table.getDZone();
+        let faces = table.getCushionFaces();
+        let ballsOn = rules.getBallsOn(ballManager);
+        let best = null;
+        let tried = 0;
+
+        for (let attempt = 0; attempt < 200 && tried < this.levels[this.level].placements; attempt++) {
+            let x, y;
+            if (attempt % 2 === 0) {
+                x = dZone.x - this.rng.random(dZone.radius);
+                y = dZone.y + this.rng.random(-dZone.radius, dZone.radius);
+            } else {
+                x = this.rng.random(faces.left, faces.right);
+                y = this.rng.random(faces.top, faces.bottom);
+            }
+            if (!rules.isValidCueBallPlacement(x, y, table, ballManager)) continue;
+
+            tried++;
+            let pots = this.findPots({ x: x, y: y }, ballsOn, ballManager.getBallsOnTable());
+            let score = pots.length > 0 ? pots[0].score : -Infinity;
+            if (!best || score > best.score) {
+                best = { x: x, y: y, score: score };
+            }
+        }
+        return best;
+    }
+
+    // Start thinking about a shot - candidates are simulated a few per frame by think()
+    // Each pot is tried at every power and at a spread of angles around the ghost ball line,
+    // because the collision the physics plays out does not throw the object ball exactly along it
+    startPlanning(cueBall, ballManager, rules) {
+        let settings = this.levels[this.level];
+        let cuePosition = cueBall.getPosition();
+        let ballsOn = rules.getBallsOn(ballManager);
+        let pots = this.findPots(cuePosition, ballsOn, ballManager.getBallsOnTable()).slice(0, settings.candidates);
+
+        // Full ball contact on the nearest ball on - a fallback when every pot would foul
+        let target = this.findNearestBall(cuePosition, ballsOn.length > 0 ? ballsOn : ballManager.getBallsOnTable());
+        if (target) {
+            pots.push({ ball: target, pocket: null, ghost: target.getPosition(), score: 0 });
+        }
+
+        // Candidates in the same group differ only by angle, in order
+        let groups = [];
+        pots.forEach(pot => {
+            let baseAngle = atan2(pot.ghost.y - cuePosition.y, pot.ghost.x - cuePosition.x);
+            settings.powers.forEach(power => {
+                let group = [];
+                for (let i = 0; i < settings.angles; i++) {
+                    let offset = (i - (settings.angles - 1) / 2) * this.angleStep;
+                    group.push({ pot: pot, power: power, angle: baseAngle + offset, score: 0 });
+                }
+                groups.push(group);
+            });
+        });
+
+        this.plan = { groups: groups, candidates: [].concat(...groups), index: 0, ballsOn: ballsOn };
+        console.log(`COMPUTER: Considering ${this.plan.candidates.length} shots`);
+    }
+
+    // Simulate the next few candidates - returns true once every candidate has been tried
+    think(cue, cueBall, ballManager) {
+        let plan = this.plan;
+        let objectBalls = ballManager.getBallsOnTable();
+        let cuePosition = cueBall.getPosition();
+
+        for (let i = 0; i < this.simulationsPerFrame && plan.index < plan.candidates.length; i++) {
+            let candidate = plan.candidates[plan.index++];
+            cue.updateAngle(cuePosition.x + cos(candidate.angle) * 100, cuePosition.y + sin(candidate.angle) * 100, cueBall);
+            let result = this.shotSimulator.simulate(cueBall, objectBalls,
+                                                     cue.getShotVelocity(candidate.power), cue.getShotSpin(candidate.power));
+            candidate.score = this.scoreResult(result, cueBall, plan.ballsOn) + candidate.pot.score;
+        }
+        return plan.index >= plan.candidates.length;
+    }
+
+    // Best candidate once its neighbours are counted in - a pot in the middle of a run of pots
+    // beats one at the edge, where a small error would miss
+    findBestCandidate() {
+        let best = null;
+        this.plan.groups.forEach(group => {
+            group.forEach((candidate, index) => {
+                let before = index > 0 ? group[index - 1].score : candidate.score;
+                let after = index < group.length - 1 ? group[index + 1].score : candidate.score;
+                let score = candidate.score * 0.5 + (before + after) * 0.25;
+                if (!best || score > best.score) {
+                    best = { candidate: candidate, score: score };
+                }
+            });
+        });
+        return best;
+    }
+
+    // Settle on the best candidate, add this level's error and start showing the aim
+    // Returns the shot - an aim point and the power to shoot with
+    chooseShot(cueBall) {
+        let settings = this.levels[this.level];
+        let best = this.findBestCandidate();
+        let cuePosition = cueBall.getPosition();
+
+        // Error is the average of two random numbers so small errors are more common than large ones
+        let angle = best ? best.candidate.angle : 0;// No balls left to play at
+        angle += (this.rng.random(-1, 1) + this.rng.random(-1, 1)) / 2 * settings.aimError;
+        let power = (best ? best.candidate.power : 30) * (1 + (this.rng.random(-1, 1) + this.rng.random(-1, 1)) / 2 * settings.powerError);
+
+        if (best) {
+            let pot = best.candidate.pot;
+            console.log(`COMPUTER: Playing ${pot.ball.id}${pot.pocket ? " into " + pot.pocket.name : ""} (score ${best.score.toFixed(1)})`);
+        }
+        this.aimTimer = this.aimFrames;
+        this.shot = {
+            x: cuePosition.x + cos(angle) * 100,
+            y: cuePosition.y + sin(angle) * 100,
+            power: constrain(power, 5, 100)
+        };
+        return this.shot;
+    }
+
+    // Count down the aim display - returns true when it is time to shoot
+    updateAim() {
+        this.aimTimer--;
+        return this.aimTimer <= 0;
+    }
+
+    // Pots on each ball on from a position, easiest first - the hints' ranking plus the ball's value
+    findPots(cuePosition, ballsOn, objectBalls) {
+        let pots = this.shotHints.findPots(cuePosition, ballsOn, objectBalls);
+        pots.forEach(pot => pot.score += (pot.ball.value || 1) * 0.5);
+        return pots.sort((a, b) => b.score - a.score);
+    }
+
+    // Score a simulated shot - pots on count, fouls and in-offs count against it
+    scoreResult(result, cueBall, ballsOn) {
+        if (!result.firstContact) return -100;// Missed everything
+        if (!ballsOn.includes(result.firstContact.ball)) return -80;// Hit a ball that is not on
+
+        let score = 0;
+        result.potted.forEach(pot => {
+            if (pot.ball === cueBall) {
+                score -= 100;// In-off
+            } else if (ballsOn.includes(pot.ball)) {
+                score += 50 + (pot.ball.value || 1);
+            } else {
+                score -= 60;// Potted a ball that is not on
+            }
+        });
+        return score - result.offTable.length * 100;
+    }
+
+    // Closest ball to a position
+    findNearestBall(position, balls) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        balls.forEach(ball => {
+            let ballPosition = ball.getPosition();
+            let distance = dist(position.x, position.y, ballPosition.x, ballPosition.y);
+            if (distance < nearestDistance) {
+                nearest = ball;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    // Getter methods for computer opponent information
+    isEnabled() { return this.level !== null; }// Check if the computer is playing
+    isPlanning() { return this.plan !== null && this.shot === null; }// Check if still choosing a shot
+    isAiming() { return this.aimTimer > 0; }// Check if showing its aim
+    getShot() { return this.shot; }// Get chosen aim point and power
+    getLevelName() { return this.level ? this.level.toUpperCase() : "OFF"; }// Get difficulty for display
+}
\ No newline at end of file
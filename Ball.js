@@ -15,24 +15,33 @@ class Ball {
         this.body = null; // Matter.js physics body
         this.radius = ballRadius; // Global radius from sketch.js
         this.diameter = ballDiameter; // Global diameter from sketch.js
+        this.number = null; // Number printed on pool balls
+        this.stripe = false; // Pool stripes are white with a coloured band
     }
     
     // Create Matter.js physics body for the ball
     createPhysicsBody() {
         if (this.x > 0 && this.y > 0 && !this.body) {
-            this.body = Bodies.circle(this.x, this.y, this.radius, {
-                restitution: 0.8,        // Bounce factor
-                friction: 0.25,          // Surface friction
-                frictionAir: 0.015,      // Air resistance
-                frictionStatic: 0.2,     // Static friction
-                density: 0.002,          // Ball density
-                inertia: Infinity        // Prevent rotation
-            });
-            
+            this.body = Ball.buildBody(this.x, this.y, this.radius);
             World.add(engine.world, this.body);
         }
     }
     
+    // Build a ball body with the game's physics properties - also used for throwaway prediction worlds
+    // Spin and motion state live on the body (roll is the velocity the ball's top/back spin would
+    // roll it at) and are updated by BallPhysics since Matter.js does not model rolling balls
+    static buildBody(x, y, radius = ballRadius) {
+        return Bodies.circle(x, y, radius, {
+            restitution: 0.8,        // Bounce factor
+            friction: 0.25,          // Surface friction
+            frictionAir: 0,          // Cloth friction comes from BallPhysics
+            frictionStatic: 0.2,     // Static friction
+            density: 0.002,          // Ball density
+            inertia: Infinity,       // Prevent rotation
+            plugin: { spin: { roll: { x: 0, y: 0 }, side: 0, cushionNormal: null, motion: "AT_REST" } }
+        });
+    }
+    
     // Removes physics body from the world
     removePhysicsBody() {
         if (this.body) {
@@ -83,9 +92,14 @@ class Ball {
         return 0;
     }
     
-    // Check if ball is moving above threshold
-    isMoving(threshold = 0.5) {
-        return this.getSpeed() > threshold;
+    // Check if ball is sliding or rolling - the motion model decides when it has come to rest
+    isMoving() {
+        return this.body !== null && this.body.plugin.spin.motion !== "AT_REST";
+    }
+    
+    // Get motion state from the motion model: SLIDING, ROLLING or AT_REST
+    getMotion() {
+        return this.body ? this.body.plugin.spin.motion : "AT_REST";
     }
     
     // Set velocity for the ball (used for cue ball shooting)
@@ -95,18 +109,22 @@ class Ball {
         }
     }
     
-    // Check if ball is within pocket radius of any pocket
-    isInPocket(pocketPositions, pocketRadius) {
-        if (!this.body) return false;
-        
-        let position = this.getPosition();
-        for (let pocket of pocketPositions) {
-            let distance = dist(position.x, position.y, pocket.x, pocket.y);
-            if (distance < pocketRadius) {
-                return true;
-            }
+    // Set spin from a cue strike
+    setSpin(spin) {
+        if (this.body) {
+            this.body.plugin.spin = spin;
         }
-        return false;
+    }
+    
+    // Get current spin - null when the ball is off the table
+    getSpin() {
+        return this.body ? this.body.plugin.spin : null;
+    }
+    
+    // Check if ball has dropped past the throat of any pocket
+    isInPocket(table) {
+        if (!this.body) return false;
+        return table.getPocketEntered(this.getPosition()) !== null;
     }
     
     // Check collision with another ball
@@ -129,6 +147,24 @@ class Ball {
             stroke(0);
             strokeWeight(this.id === 'cue' ? 2 : 1);
             circle(position.x, position.y, this.diameter);
+            
+            if (this.stripe) {
+                // White caps above and below the coloured band
+                fill(255);
+                noStroke();
+                arc(position.x, position.y, this.diameter - 1, this.diameter - 1, PI + 0.7, TWO_PI - 0.7, CHORD);
+                arc(position.x, position.y, this.diameter - 1, this.diameter - 1, 0.7, PI - 0.7, CHORD);
+            }
+            if (this.number !== null) {
+                fill(255);
+                noStroke();
+                circle(position.x, position.y, this.diameter * 0.5);
+                fill(0);
+                textAlign(CENTER, CENTER);
+                textSize(5);
+                text(this.number, position.x, position.y);
+                textAlign(LEFT, BASELINE);
+            }
         }
     }
     
@@ -6,8 +6,10 @@
 
 class BallManager {
     // Constructor for BallManager class
-    // Initializes ball arrays and ball colors
-    constructor() {
+    // Initializes ball arrays and ball colors - the rule set decides which balls are in play
+    constructor(rng, rules) {
+        this.rng = rng; // Seeded random generator shared with the game
+        this.rules = rules; // Rule set for the game being played
         this.redBalls = [];
         this.coloredBalls = [];
         this.cueBall = null;
@@ -25,8 +27,7 @@ class BallManager {
         };
         
         // Movement tracking
-        this.ballsMoving = false;
-        this.speedThreshold = 0.5; // Minimum speed to consider ball as moving
+        this.ballsMoving = false;// Whether any ball is sliding or rolling
         
         // Game state tracking
         this.lastPottedBallType = "";
@@ -37,41 +38,31 @@ class BallManager {
         this.collisionMessage = "";
         this.collisionTimer = 0;
         
+        // Shot tracking for foul detection
+        this.shotTracking = false;
+        this.firstContact = null; // First ball the cue ball touched this shot
+        
         // Initialize ball arrays
         this.initializeBalls();
     }
     
-    // Create all ball objects with proper properties
+    // Create all ball objects for the rule set
+    // Reds leave the game when potted, every other object ball is kept so it can be re-spotted
     initializeBalls() {
-        // Clear existing arrays
-        this.redBalls = [];
-        this.coloredBalls = [];
-        
-        // Create 15 red balls with physics bodies
-        for (let i = 0; i < 15; i++) {
-            let redBall = new Ball(`red_${i}`, this.ballColors.red, 1);
-            this.redBalls.push(redBall);
-        }
-        
-        // Create colored balls with their properties
-        let colorData = [
-            { name: 'yellow', value: 2 },
-            { name: 'green', value: 3 },
-            { name: 'brown', value: 4 },
-            { name: 'blue', value: 5 },
-            { name: 'pink', value: 6 },
-            { name: 'black', value: 7 }
-        ];
-
-        colorData.forEach(data => {
-            let coloredBall = new Ball(data.name, this.ballColors[data.name], data.value);
-            this.coloredBalls.push(coloredBall);
-        });
+        let balls = this.rules.createBalls(this.ballColors);
+        this.redBalls = balls.filter(ball => ball.getType() === 'red');
+        this.coloredBalls = balls.filter(ball => ball.getType() !== 'red');
+        this.rackedReds = this.redBalls.slice();// Every red in the frame - potted reds leave redBalls
         
         // Create cue ball (positioned later by player)
         this.cueBall = new Ball('cue', this.ballColors.white, 0);
     }
     
+    // Switch to another rule set - call initializeBalls afterwards for its ball set
+    setRuleSet(rules) {
+        this.rules = rules;
+    }
+    
     //Positions balls in starting formation (Mode 1)
     positionBallsStarting(table) {
         // Position red balls in triangular formation
@@ -160,8 +151,8 @@ class BallManager {
     
     //Places cue ball at specified position
     placeCueBall(x, y, table) {
-        // Check that position is valid
-        if (!table.isInDZone(x, y)) {
+        // Check that position is valid for the rule set
+        if (!this.rules.isValidCueBallPlacement(x, y, table, this)) {
             return false;
         }
         
@@ -173,26 +164,59 @@ class BallManager {
         return true;
     }
     
+    // Forget the run of colours potted - a new layout starts without one
+    resetColourCount() {
+        this.lastPottedBallType = "";
+        this.consecutiveColoredBalls = 0;
+    }
+    
+    // Take a ball off the table without potting it - used by the position editor
+    removeBall(ball) {
+        let index = this.redBalls.indexOf(ball);
+        if (index >= 0) {
+            this.redBalls.splice(index, 1);// Reds off the table leave redBalls
+        }
+        ball.removePhysicsBody();
+    }
+    
+    // Put a ball on the table at a position - brings back a removed red
+    placeBall(ball, x, y) {
+        if (ball.getType() === 'red' && !this.redBalls.includes(ball)) {
+            this.redBalls.push(ball);
+        }
+        ball.removePhysicsBody();
+        ball.setPosition(x, y);
+        ball.createPhysicsBody();
+    }
+    
+    // Gets balls of this frame that are off the table - potted or removed reds, colours and the cue ball
+    getBallsOffTable() {
+        let balls = this.rackedReds.filter(ball => !this.redBalls.includes(ball))
+            .concat(this.coloredBalls.filter(ball => !ball.body));
+        if (!this.cueBall.body) balls.push(this.cueBall);
+        return balls;
+    }
+    
     // Check if any balls are moving
     // Update ball movement state for game logic
     updateBallMovementState() {
         this.ballsMoving = false;
         
         // Check cue ball
-        if (this.cueBall.body && this.cueBall.isMoving(this.speedThreshold)) {
+        if (this.cueBall.body && this.cueBall.isMoving()) {
             this.ballsMoving = true;
         }
         
         // Check red balls
         this.redBalls.forEach(ball => {
-            if (ball.body && ball.isMoving(this.speedThreshold)) {
+            if (ball.body && ball.isMoving()) {
                 this.ballsMoving = true;
             }
         });
         
         // Check colored balls
         this.coloredBalls.forEach(ball => {
-            if (ball.body && ball.isMoving(this.speedThreshold)) {
+            if (ball.body && ball.isMoving()) {
                 this.ballsMoving = true;
             }
         });
@@ -223,6 +247,7 @@ class BallManager {
         // Check cue ball collisions with red balls
         this.redBalls.forEach((ball, index) => {
             if (ball.body && this.cueBall.isCollidingWith(ball)) {
+                this.recordFirstContact(ball);
                 this.detectCollision("cue-red", index);
             }
         });
@@ -230,6 +255,7 @@ class BallManager {
         // Check cue ball collisions with colored balls
         this.coloredBalls.forEach((ball, index) => {
             if (ball.body && this.cueBall.isCollidingWith(ball)) {
+                this.recordFirstContact(ball);
                 this.detectCollision("cue-" + ball.id, index);
             }
         });
@@ -242,6 +268,25 @@ class BallManager {
             }
         }); }
     
+    // Start tracking a new shot - clears first contact
+    startShotTracking() {
+        this.shotTracking = true;
+        this.firstContact = null;
+    }
+    
+    // Stop tracking once the shot has been judged
+    stopShotTracking() {
+        this.shotTracking = false;
+    }
+    
+    // Remember the first ball the cue ball touches during a shot
+    recordFirstContact(ball) {
+        if (this.shotTracking && !this.firstContact) {
+            console.log(`FIRST CONTACT: ${ball.id.toUpperCase()}`);
+            this.firstContact = ball;
+        }
+    }
+    
     // Check if ball is colliding with cushion (table boundaries)
     isCollidingWithCushion(ballBody, cushionBody, table) {
         // Check if ball is too close to table edges
@@ -271,75 +316,113 @@ class BallManager {
     
     // Check all balls for pocket entry and handle game logic
     checkBallsInPockets(table) {
-        let pocketPositions = table.getPocketPositions();
-        let pocketRadius = table.getPocketRadius();
         let gameEvents = {
             redPotted: false,
             coloredPotted: false,
             cueBallPotted: false,
+            pottedBalls: [],// Every ball potted during this check
+            pockets: [],// Pocket each of those balls dropped into
             gameMessage: ""
         };
         
         // Check red balls 
         for (let i = this.redBalls.length - 1; i >= 0; i--) {
             let ball = this.redBalls[i];
-            if (ball.body && ball.isInPocket(pocketPositions, pocketRadius)) {
+            if (ball.body && ball.isInPocket(table)) {
                 
                 console.log("RED BALL POTTED - Removing from array and physics world");
                 console.log(`Red balls remaining: ${this.redBalls.length - 1}`);
                 
                 // Remove from physics world and array
+                gameEvents.pockets.push(table.getPocketEntered(ball.getPosition()));
                 ball.removePhysicsBody();
                 this.redBalls.splice(i, 1);
                 
                 // Update game state
-                this.lastPottedBallType = "red";
-                this.consecutiveColoredBalls = 0; // Reset consecutive colored counter
+                gameEvents.gameMessage = this.rules.notePottedBall(ball, this) || gameEvents.gameMessage;
                 gameEvents.redPotted = true;
+                gameEvents.pottedBalls.push(ball);
             }
         }
         
-        // Check colored balls - re-spot when potted 
+        // Check colored balls - taken off the table until the shot is judged
         this.coloredBalls.forEach(ball => {
-            if (ball.body && ball.isInPocket(pocketPositions, pocketRadius)) {
+            if (ball.body && ball.isInPocket(table)) {
                 console.log(`COLORED BALL POTTED: ${ball.id.toUpperCase()}`);
+                gameEvents.gameMessage = this.rules.notePottedBall(ball, this) || gameEvents.gameMessage;
+                gameEvents.pockets.push(table.getPocketEntered(ball.getPosition()));
                 
-                // Check for consecutive colored balls mistake
-                if (this.lastPottedBallType !== "red") {
-                    this.consecutiveColoredBalls++;
-                    console.log(`Consecutive colored balls: ${this.consecutiveColoredBalls}`);
-                    if (this.consecutiveColoredBalls >= 2) {
-                        console.log("ERROR: Two consecutive colored balls potted!");
-                        gameEvents.gameMessage = "MISTAKE: Two consecutive colored balls potted!";
-                    }
-                } else {
-                    this.consecutiveColoredBalls = 1;
-                }
-                
-                console.log(`Re-spotting ${ball.id} ball on designated spot`);
-                // Re-spot the colored ball 
-                this.respotColoredBall(ball, table);
-                this.lastPottedBallType = "colored";
+                ball.reset();// Remove from table - re-spotted after the shot if needed
                 gameEvents.coloredPotted = true;
+                gameEvents.pottedBalls.push(ball);
             }
         });
         
         // Check cue ball - return to player 
-        if (this.cueBall.body && this.cueBall.isInPocket(pocketPositions, pocketRadius)) {
+        if (this.cueBall.body && this.cueBall.isInPocket(table)) {
             console.log("CUE BALL POTTED - Returning to player for D-zone placement");
+            gameEvents.pockets.push(table.getPocketEntered(this.cueBall.getPosition()));
             this.cueBall.removePhysicsBody();// Remove cue ball
             gameEvents.cueBallPotted = true;
+            gameEvents.pottedBalls.push(this.cueBall);
             gameEvents.gameMessage = "Cue ball potted! Click in D zone to replace.";
         }  
         return gameEvents;
     }
     
+    // Check all balls for leaving the playing surface and handle them
+    checkBallsOffTable(table) {
+        let boundaries = table.getBoundaries();
+        let offTableEvents = {
+            ballsOffTable: [],
+            cueBallOffTable: false
+        };
+        
+        // Red balls forced off the table stay off
+        for (let i = this.redBalls.length - 1; i >= 0; i--) {
+            let ball = this.redBalls[i];
+            if (ball.body && this.isOffTable(ball, boundaries)) {
+                console.log("RED BALL OFF TABLE - Removing from array and physics world");
+                ball.removePhysicsBody();
+                this.redBalls.splice(i, 1);
+                offTableEvents.ballsOffTable.push(ball);
+            }
+        }
+        
+        // Colored balls are re-spotted
+        this.coloredBalls.forEach(ball => {
+            if (ball.body && this.isOffTable(ball, boundaries)) {
+                console.log(`COLORED BALL OFF TABLE: ${ball.id.toUpperCase()}`);
+                this.respotColoredBall(ball, table);
+                offTableEvents.ballsOffTable.push(ball);
+            }
+        });
+        
+        // Cue ball returns to player for D-zone placement
+        if (this.cueBall.body && this.isOffTable(this.cueBall, boundaries)) {
+            console.log("CUE BALL OFF TABLE - Returning to player for D-zone placement");
+            this.cueBall.removePhysicsBody();
+            offTableEvents.ballsOffTable.push(this.cueBall);
+            offTableEvents.cueBallOffTable = true;
+        }
+        return offTableEvents;
+    }
+    
+    // Check if ball has left the table boundaries completely
+    isOffTable(ball, boundaries) {
+        let position = ball.getPosition();
+        return (position.x < boundaries.left - ball.radius ||
+                position.x > boundaries.right + ball.radius ||
+                position.y < boundaries.top - ball.radius ||
+                position.y > boundaries.bottom + ball.radius);
+    }
+    
     // Re-spot colored ball on its designated spot
     respotColoredBall(ball, table) {
         ball.removePhysicsBody();// Remove from current position
         
-        // Get original spot position
-        let spotPos = table.getBallSpotPosition(ball.id);
+        // Get original spot position from the rule set
+        let spotPos = this.rules.getSpotPosition(ball, table);
         if (spotPos) {
             let newX = spotPos.x;
             let newY = spotPos.y;
@@ -347,8 +430,8 @@ class BallManager {
             // Check if spot is occupied by another ball
             if (this.isSpotOccupied(newX, newY)) {
                 // Find alternative position nearby
-                newX += random(-30, 30);
-                newY += random(-30, 30);
+                newX += this.rng.random(-30, 30);
+                newY += this.rng.random(-30, 30);
             }
             
             // Set new position and create physics body
@@ -356,6 +439,80 @@ class BallManager {
             ball.createPhysicsBody();
         } }
     
+    // Capture position of every ball so the table can be put back later
+    captureSnapshot() {
+        let captureBall = ball => {
+            let position = ball.getPosition();
+            return { ball: ball, x: position.x, y: position.y, onTable: ball.body !== null };
+        };
+        
+        return {
+            redBalls: this.redBalls.map(captureBall),
+            coloredBalls: this.coloredBalls.map(captureBall),
+            cueBall: captureBall(this.cueBall),
+            lastPottedBallType: this.lastPottedBallType,
+            consecutiveColoredBalls: this.consecutiveColoredBalls
+        };
+    }
+    
+    // Restore every ball from a snapshot - rebuilds the physics bodies at rest
+    restoreSnapshot(snapshot) {
+        this.resetPhysicsBalls();// Clear current bodies from the world
+        
+        let restoreBall = entry => {
+            entry.ball.reset();
+            if (entry.onTable) {
+                entry.ball.setPosition(entry.x, entry.y);
+                entry.ball.createPhysicsBody();
+            }
+        };
+        
+        this.redBalls = snapshot.redBalls.map(entry => entry.ball);// Brings back reds potted since
+        snapshot.redBalls.forEach(restoreBall);
+        snapshot.coloredBalls.forEach(restoreBall);
+        restoreBall(snapshot.cueBall);
+        
+        this.lastPottedBallType = snapshot.lastPottedBallType;
+        this.consecutiveColoredBalls = snapshot.consecutiveColoredBalls;
+        console.log("Ball positions restored from snapshot");
+    }
+    
+    // Plain copy of a snapshot for saving - balls by id, with the ids of reds already potted
+    getSaveData(snapshot = this.captureSnapshot()) {
+        let saveBall = entry => ({ id: entry.ball.id, x: entry.x, y: entry.y, onTable: entry.onTable });
+        let redsLeft = snapshot.redBalls.map(entry => entry.ball);
+        
+        return {
+            balls: snapshot.redBalls.concat(snapshot.coloredBalls, [snapshot.cueBall]).map(saveBall),
+            pottedReds: this.rackedReds.filter(ball => !redsLeft.includes(ball)).map(ball => ball.id),
+            lastPottedBallType: snapshot.lastPottedBallType,
+            consecutiveColoredBalls: snapshot.consecutiveColoredBalls
+        };
+    }
+    
+    // Turn saved data back into a snapshot of this frame's balls - unknown ids are skipped
+    buildSnapshot(data) {
+        let allBalls = this.rackedReds.concat(this.coloredBalls, [this.cueBall]);
+        let entries = [];
+        data.balls.forEach(saved => {
+            let ball = allBalls.find(candidate => candidate.id === saved.id);
+            if (ball) entries.push({ ball: ball, x: saved.x, y: saved.y, onTable: saved.onTable });
+        });
+        
+        return {
+            redBalls: entries.filter(entry => entry.ball.getType() === 'red' && !data.pottedReds.includes(entry.ball.id)),
+            coloredBalls: entries.filter(entry => entry.ball.getType() === 'colored'),
+            cueBall: entries.find(entry => entry.ball === this.cueBall) || { ball: this.cueBall, x: 0, y: 0, onTable: false },
+            lastPottedBallType: data.lastPottedBallType,
+            consecutiveColoredBalls: data.consecutiveColoredBalls
+        };
+    }
+    
+    // Put every ball where the saved data has it - bodies are rebuilt by restoreSnapshot
+    loadSaveData(data) {
+        this.restoreSnapshot(this.buildSnapshot(data));
+    }
+    
     // Check if a spot is occupied by any ball
     isSpotOccupied(x, y) {
         let checkRadius = ballRadius * 2.5;
@@ -404,6 +561,31 @@ class BallManager {
         return this.consecutiveColoredBalls;
     }
     
+    // Gets object balls still on the table
+    getBallsOnTable() {
+        return this.redBalls.concat(this.coloredBalls).filter(ball => ball.body);
+    }
+    
+    // Gets balls on the table that are currently on ('red', 'colour' or a colour name)
+    getBallsOn(ballOn) {
+        if (ballOn === 'red') return this.redBalls.filter(ball => ball.body);
+        if (ballOn === 'colour') return this.coloredBalls.filter(ball => ball.body);
+        return this.coloredBalls.filter(ball => ball.body && ball.id === ballOn);
+    }
+    
+    // Find the object ball under a point on the table
+    getBallAt(x, y) {
+        return this.getBallsOnTable().find(ball => {
+            let position = ball.getPosition();
+            return dist(x, y, position.x, position.y) <= ball.radius * 1.5;
+        }) || null;
+    }
+    
+    // Gets first ball contacted by the cue ball in the current shot
+    getFirstContact() {
+        return this.firstContact;
+    }
+    
     // Check if balls are currently moving
     areBallsMoving() {
         return this.ballsMoving;
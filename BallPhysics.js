@@ -0,0 +1,134 @@
+/**
+ * BallPhysics.js - Ball Motion Model for Snooker Game
+ * This class moves balls from sliding to rolling to rest and applies spin after each physics step.
+ * The real table and the throwaway prediction worlds share it so both move balls the same way
+ */
+
+class BallPhysics {
+    // Constructor for BallPhysics class - speeds are in pixels per physics step
+    constructor() {
+        this.slideFriction = 0.08;// Speed change per step while the cloth grips a sliding ball
+        this.rollingResistance = 0.04;// Speed change per step for a rolling ball
+        this.maxTipOffset = 0.5;// Furthest the cue tip can strike from centre (fraction of radius)
+        this.sideSpinKick = 0.5;// Share of side spin turned into sideways speed off a cushion
+        this.sideSpinDecay = 0.99;// Side spin kept per step as the ball turns on the cloth
+        this.cushionRollRetention = 0.5;// Share of roll into a cushion kept (reversed) after the bounce
+    }
+
+    // Spin from a cue strike - tip offset x is right side, y is top (both -1 to 1)
+    // A solid ball struck off centre spins at 5/2 x offset x speed. Raising the cue tilts
+    // the side spin axis, so part of it becomes sideways roll that curves the ball as it slides
+    getStrikeSpin(velocity, tipOffset, elevation = 0) {
+        let speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+        let rollFactor = 2.5 * tipOffset.y * this.maxTipOffset;
+        let sideSpin = 2.5 * tipOffset.x * this.maxTipOffset * speed;
+        let tilt = elevation * Math.PI / 180;
+
+        // Striker's right, at right angles to the shot
+        let rightX = speed > 0 ? -velocity.y / speed : 0;
+        let rightY = speed > 0 ? velocity.x / speed : 0;
+        let swerve = sideSpin * Math.sin(tilt);
+
+        return {
+            roll: {
+                x: velocity.x * rollFactor + rightX * swerve,
+                y: velocity.y * rollFactor + rightY * swerve
+            },
+            side: sideSpin * Math.cos(tilt),
+            cushionNormal: null,
+            motion: "SLIDING"// Every cue strike starts with the ball sliding
+        };
+    }
+
+    // Listen for cushion contacts in an engine so spin can act on them
+    attach(physicsEngine) {
+        Events.on(physicsEngine, 'collisionStart', event => {
+            event.pairs.forEach(pair => this.recordCushionContact(pair));
+        });
+    }
+
+    // Note the cushion normal (pointing from ball to cushion) for a ball touching a cushion
+    recordCushionContact(pair) {
+        let ballBody = pair.bodyA.plugin.spin ? pair.bodyA : pair.bodyB;
+        let cushionBody = ballBody === pair.bodyA ? pair.bodyB : pair.bodyA;
+        if (!ballBody.plugin.spin || cushionBody.label !== 'cushion') return;
+
+        let normal = pair.collision.normal;
+        let towardsCushion = (cushionBody.position.x - ballBody.position.x) * normal.x +
+                             (cushionBody.position.y - ballBody.position.y) * normal.y;
+        let sign = towardsCushion < 0 ? -1 : 1;
+        ballBody.plugin.spin.cushionNormal = { x: normal.x * sign, y: normal.y * sign };
+    }
+
+    // Move every ball in an engine through sliding, rolling and rest after a physics step
+    update(physicsEngine) {
+        Composite.allBodies(physicsEngine.world).forEach(body => {
+            let spin = body.plugin.spin;
+            if (!spin) return;
+
+            if (spin.cushionNormal) {
+                this.applyCushionSpin(body, spin);
+            }
+            spin.motion = this.applyClothFriction(body, spin);
+            spin.side *= this.sideSpinDecay;
+        });
+    }
+
+    // Cloth friction on one ball - returns its motion state: SLIDING, ROLLING or AT_REST
+    // A sliding ball's speed and roll are dragged together until it rolls naturally, then
+    // rolling resistance slows it to a stop. Sideways roll from a raised cue curves a sliding ball
+    applyClothFriction(body, spin) {
+        let velocity = body.velocity;
+        let slipX = velocity.x - spin.roll.x;
+        let slipY = velocity.y - spin.roll.y;
+        let slip = Math.sqrt(slipX * slipX + slipY * slipY);
+
+        // Speed changes by friction, roll by 5/2 friction - slip closes by 7/2 friction per step
+        if (slip > 3.5 * this.slideFriction) {
+            let frictionX = slipX / slip * this.slideFriction;
+            let frictionY = slipY / slip * this.slideFriction;
+            spin.roll.x += frictionX * 2.5;
+            spin.roll.y += frictionY * 2.5;
+            Body.setVelocity(body, { x: velocity.x - frictionX, y: velocity.y - frictionY });
+            return "SLIDING";
+        }
+
+        // Slip used up - roll at the speed that keeps the ball's angular momentum about the cloth
+        let rollingX = (5 * velocity.x + 2 * spin.roll.x) / 7;
+        let rollingY = (5 * velocity.y + 2 * spin.roll.y) / 7;
+        let speed = Math.sqrt(rollingX * rollingX + rollingY * rollingY);
+
+        if (speed <= this.rollingResistance) {
+            spin.roll = { x: 0, y: 0 };
+            spin.side = 0;
+            Body.setVelocity(body, { x: 0, y: 0 });
+            return "AT_REST";
+        }
+
+        let slowed = (speed - this.rollingResistance) / speed;
+        spin.roll = { x: rollingX * slowed, y: rollingY * slowed };
+        Body.setVelocity(body, { x: rollingX * slowed, y: rollingY * slowed });
+        return "ROLLING";
+    }
+
+    // Side spin grips the cushion and kicks the ball along it - roll into the cushion is reversed
+    applyCushionSpin(body, spin) {
+        let normal = spin.cushionNormal;
+        spin.cushionNormal = null;
+
+        // Right-hand side kicks the ball to the right of the direction it hit the cushion
+        let kick = spin.side * this.sideSpinKick;
+        spin.side -= kick;
+        Body.setVelocity(body, {
+            x: body.velocity.x - normal.y * kick,
+            y: body.velocity.y + normal.x * kick
+        });
+
+        let rollIntoCushion = spin.roll.x * normal.x + spin.roll.y * normal.y;
+        if (rollIntoCushion > 0) {
+            let change = rollIntoCushion * (1 + this.cushionRollRetention);
+            spin.roll.x -= normal.x * change;
+            spin.roll.y -= normal.y * change;
+        }
+    }
+}
\ No newline at end of file
@@ -5,21 +5,31 @@
  */
 
 class BallTrailPrediction {
-    //Constructor for BallTrailPrediction class
-    constructor() {
+    //Constructor for BallTrailPrediction class - shots are played out by the shared simulator
+    constructor(shotSimulator) {
+        this.shotSimulator = shotSimulator;
+        
         // Prediction calculation parameters
-        this.maxPredictionSteps = 300;// Maximum simulation steps
-        this.predictionStepSize = 2;// Distance per step (smaller = more accurate)
         this.maxBounces = 5;// Maximum number of bounces to show
-        this.speedThreshold = 0.3;// Minimum speed to continue prediction
+        this.maxContactBounces = 2;// Maximum bounces shown for paths after ball contact
+        this.previewPower = 50;// Power shown while aiming before charging
+        this.lastInputKey = null;// Shot inputs of the current prediction - skip identical recalculations
         
         // Prediction results
         this.predictionTrail = [];// Array of predicted positions
         this.predictionBounces = 0;// Number of bounces in current prediction
         
-        // Physics simulation parameters (matching ball physics)
-        this.frictionCoefficient = 0.985; // Air resistance (per step)
-        this.cushionRestitution = 0.75; // Energy loss on cushion bounce
+        // Ball contact results
+        this.ghostBall = null;// Cue ball position at first contact with an object ball
+        this.targetBall = null;// First object ball the cue ball would hit
+        this.objectBallTrail = [];// Predicted path of the object ball after contact
+        this.deflectedTrail = [];// Predicted path of the cue ball after contact
+        
+        // Pocket results
+        this.cuePocket = null;// Pocket the cue ball would drop into (in-off)
+        this.objectPocket = null;// Pocket the object ball would drop into
+        this.pocketColors = { pot: [0, 255, 0], inOff: [255, 60, 60] };// Green pot, red in-off
+        
         this.ballRadius = ballRadius; // Use global ball radius
         
         // Visual properties
@@ -36,112 +46,87 @@ class BallTrailPrediction {
         this.visible = false;// Whether prediction is currently shown
     }
     
-    // Calculate predicted ball trajectory
-    calculatePrediction(cueBall, cue, table) {
+    // Calculate predicted ball trajectory by playing the shot out in a copy of the physics world
+    calculatePrediction(cueBall, cue, objectBalls = []) {
         if (!this.enabled || !cueBall.body || !cue.isVisible()) {
             this.predictionTrail = [];
+            this.clearContact();
+            this.lastInputKey = null;
             return;
         }
-        // Reset prediction data
-        this.predictionTrail = [];
-        this.predictionBounces = 0;
-        
-        // Get starting position and calculate initial velocity
-        let cueBallPos = cueBall.getPosition();
-        let startPos = createVector(cueBallPos.x, cueBallPos.y);
-        
-        // Calculate shooting direction (opposite to cue angle)
-        let shootAngle = cue.angle + PI;
-        
-        // Calculate initial velocity based on cue power or default preview speed
-        let speed;
-        if (cue.isCharging()) {
-            // Use current charging power
-            let powerRatio = cue.getCurrentPower() / 100; // Convert to 0-1 ratio
-            speed = map(powerRatio, 0, 1, 2, 12); // Scale to reasonable prediction speed
+        
+        // Use current charging power or default preview power
+        let power = cue.isCharging() ? cue.getCurrentPower() : this.previewPower;
+        
+        // Balls are at rest while aiming - only recalculate when the shot or the layout changes
+        let inputKey = this.getInputKey(cueBall, cue, power, objectBalls);
+        if (inputKey === this.lastInputKey) return;
+        this.lastInputKey = inputKey;
+        
+        let result = this.shotSimulator.simulate(cueBall, objectBalls, cue.getShotVelocity(power), cue.getShotSpin(power));
+        this.buildTrails(result, cueBall);
+    }
+    
+    // Split the simulated paths into the trail to first contact and the paths after it
+    buildTrails(result, cueBall) {
+        let cuePath = result.paths.get(cueBall);
+        let contact = result.firstContact;
+        this.clearContact();
+        
+        // Contact is only shown when the cue ball gets there within the bounces shown
+        let approach = contact ? cuePath.filter(point => point.step < contact.step) : [];
+        let contactBounce = approach.length > 0 ? approach[approach.length - 1].bounce : 0;
+        
+        if (!contact || contactBounce >= this.maxBounces) {
+            this.predictionTrail = cuePath.filter(point => point.bounce < this.maxBounces);
         } else {
-            speed = 6;// Default preview speed for aiming
+            let contactPoint = { x: contact.position.x, y: contact.position.y, bounce: contactBounce, speed: 0, step: contact.step };
+            this.predictionTrail = approach.concat([contactPoint]);
+            
+            this.ghostBall = contact.position;
+            this.targetBall = contact.ball;
+            this.objectBallTrail = (result.paths.get(contact.ball) || [])
+                .filter(point => point.bounce < this.maxContactBounces);
+            this.deflectedTrail = [contactPoint].concat(cuePath.filter(point =>
+                point.step > contact.step && point.bounce - contactBounce < this.maxContactBounces));
         }
         
-        let velocity = createVector(cos(shootAngle) * speed, sin(shootAngle) * speed);
-        let currentPos = startPos.copy();// Simulate ball movement step by step
+        let lastPoint = this.predictionTrail[this.predictionTrail.length - 1];
+        this.predictionBounces = lastPoint ? lastPoint.bounce : 0;
         
-        for (let step = 0; step < this.maxPredictionSteps && this.predictionBounces < this.maxBounces; step++) {
-            velocity.mult(this.frictionCoefficient);// Apply air resistance
-            
-            // Calculate next position
-            let nextPos = p5.Vector.add(currentPos, p5.Vector.mult(velocity, this.predictionStepSize));
-            
-            // Check for cushion collisions
-            let collision = this.checkCushionCollision(currentPos, nextPos, table);
-            if (collision.hit) {
-                nextPos = collision.hitPoint;// Update to collision point
-                velocity = this.reflectVelocity(velocity, collision.normal); // Reflect velocity
-                velocity.mult(this.cushionRestitution);// Apply energy loss
-                this.predictionBounces++;// Count bounce
-            }
-
-            // Add point to trail with bounce and speed info
-            this.predictionTrail.push({
-                x: nextPos.x,
-                y: nextPos.y,
-                bounce: this.predictionBounces,
-                speed: velocity.mag()
-            });
-            
-            currentPos = nextPos;// Update current position
-            if (velocity.mag() < this.speedThreshold) break; // Stop if ball would be too slow
+        // Highlight pockets reached within the trails shown
+        let cueTrail = this.ghostBall ? this.deflectedTrail : this.predictionTrail;
+        this.cuePocket = this.findPocketAtEnd(result.potted, cueBall, cueTrail);
+        if (this.targetBall) {
+            this.objectPocket = this.findPocketAtEnd(result.potted, this.targetBall, this.objectBallTrail);
         }
     }
     
-    // Check for collision with table cushions
-    checkCushionCollision(currentPos, nextPos, table) {
-        let boundaries = table.getBoundaries();
-        let collision = {
-            hit: false,
-            hitPoint: nextPos.copy(),
-            normal: createVector(0, 0)
-        };
-        
-        // Boundaries for ball radius and cushion thickness
-        let cushionThickness = 12; 
-        let leftBound = boundaries.left + cushionThickness + this.ballRadius;
-        let rightBound = boundaries.right - cushionThickness - this.ballRadius;
-        let topBound = boundaries.top + cushionThickness + this.ballRadius;
-        let bottomBound = boundaries.bottom - cushionThickness - this.ballRadius;
-        
-        // Check left cushion collision
-        if (nextPos.x <= leftBound && currentPos.x > leftBound) {
-            collision.hit = true;
-            collision.hitPoint = createVector(leftBound, nextPos.y);
-            collision.normal = createVector(1, 0); // Normal pointing right
-        }
-        // Check right cushion collision
-        else if (nextPos.x >= rightBound && currentPos.x < rightBound) {
-            collision.hit = true;
-            collision.hitPoint = createVector(rightBound, nextPos.y);
-            collision.normal = createVector(-1, 0); // Normal pointing left
-        }
-        // Check top cushion collision
-        else if (nextPos.y <= topBound && currentPos.y > topBound) {
-            collision.hit = true;
-            collision.hitPoint = createVector(nextPos.x, topBound);
-            collision.normal = createVector(0, 1); // Normal pointing down
-        }
-        // Check bottom cushion collision
-        else if (nextPos.y >= bottomBound && currentPos.y < bottomBound) {
-            collision.hit = true;
-            collision.hitPoint = createVector(nextPos.x, bottomBound);
-            collision.normal = createVector(0, -1); // Normal pointing up
-        }
-        return collision;
+    // Pocket a ball drops into, if its path ends there before the shown trail is cut short
+    findPocketAtEnd(potted, ball, trail) {
+        let pot = potted.find(entry => entry.ball === ball);
+        if (!pot || trail.length === 0 || trail[trail.length - 1].step < pot.step) return null;
+        return pot.pocket;
     }
     
-    reflectVelocity(incident, normal) { // Reflect velocity vector off surface normal
-        // Physics formula: reflected = incident - 2 * (incident · normal) * normal
-        let dotProduct = p5.Vector.dot(incident, normal);
-        let reflection = p5.Vector.sub(incident, p5.Vector.mult(normal, 2 * dotProduct));
-        return reflection;
+    // Summary of everything the prediction depends on
+    getInputKey(cueBall, cue, power, objectBalls) {
+        let positions = [cueBall].concat(objectBalls).map(ball => {
+            let position = ball.getPosition();
+            return position.x.toFixed(1) + "," + position.y.toFixed(1);
+        });
+        let tip = cue.tipOffset.x.toFixed(2) + "," + cue.tipOffset.y.toFixed(2) + "," + cue.elevation;
+        return cue.angle.toFixed(4) + "|" + power + "|" + tip + "|" + positions.join("|");
+    }
+    
+    // Clear ball contact results
+    clearContact() {
+        this.ghostBall = null;
+        this.targetBall = null;
+        this.objectBallTrail = [];
+        this.deflectedTrail = [];
+        this.cuePocket = null;
+        this.objectPocket = null;
     }
     
     // Draw the prediction trail with different colors for bounce segments
@@ -172,9 +157,56 @@ class BallTrailPrediction {
             }
         }     
         this.drawBouncePoints();// Draw small circles at bounce points
+        this.drawPocketHighlights();// Draw rings around pockets the balls would drop into
+        this.drawContact();// Draw ghost ball and paths after contact
         noStroke();// Reset stroke settings
     }
     
+    // Draw ghost ball at the contact point with the object ball and cue ball paths after it
+    drawContact() {
+        if (!this.ghostBall) return;
+        
+        // Object ball path in the object ball's colour
+        let color = this.targetBall.color;
+        this.drawPath(this.objectBallTrail, [color[0], color[1], color[2]], 3);
+        
+        // Cue ball deflected path - faint white
+        this.drawPath(this.deflectedTrail, [255, 255, 255], 1);
+        
+        // Ghost ball outline where the cue ball will touch the object ball
+        noFill();
+        stroke(255, 255, 255, 200);
+        strokeWeight(1);
+        circle(this.ghostBall.x, this.ghostBall.y, this.ballRadius * 2);
+    }
+    
+    // Draw a ring around each pocket the prediction ends in
+    drawPocketHighlights() {
+        let pocketRadius = this.shotSimulator.table.getPocketRadius();
+        let highlights = [
+            { pocket: this.objectPocket, color: this.pocketColors.pot },
+            { pocket: this.cuePocket, color: this.pocketColors.inOff }
+        ];
+        
+        noFill();
+        strokeWeight(3);
+        highlights.forEach(highlight => {
+            if (!highlight.pocket) return;
+            stroke(highlight.color[0], highlight.color[1], highlight.color[2], 220);
+            circle(highlight.pocket.x, highlight.pocket.y, pocketRadius * 2 + 6);
+        });
+    }
+    
+    // Draw a simple fading path through trail points
+    drawPath(trail, color, weight) {
+        strokeWeight(weight);
+        for (let i = 0; i < trail.length - 1; i++) {
+            let alpha = map(i, 0, trail.length, 200, 40);
+            stroke(color[0], color[1], color[2], alpha);
+            line(trail[i].x, trail[i].y, trail[i + 1].x, trail[i + 1].y);
+        }
+    }
+    
     // Draw special markers at bounce points
     drawBouncePoints() {
         let lastBounce = -1;
@@ -209,10 +241,14 @@ class BallTrailPrediction {
     isVisible() { return this.visible && this.enabled; }// Check if prediction is visible
     getBounceCount() { return this.predictionBounces; }// Get number of predicted bounces
     getTrailLength() { return this.predictionTrail.length; }// Get number of points in trail
+    getGhostBall() { return this.ghostBall; }// Get cue ball position at first contact
+    getTargetBall() { return this.targetBall; }// Get first object ball the cue ball would hit
+    getObjectPocket() { return this.objectPocket; }// Get pocket the object ball would drop into
+    getCuePocket() { return this.cuePocket; }// Get pocket the cue ball would drop into
 
     // Configuration methods
-    setMaxBounces(maxBounces) { this.maxBounces = maxBounces; } // Set maximum bounces to predict
-    setPredictionAccuracy(stepSize) {// Set prediction accuracy
-        this.predictionStepSize = stepSize;// Lower stepSize = more accurate but slower
+    setMaxBounces(maxBounces) { // Set maximum bounces to predict
+        this.maxBounces = maxBounces;
+        this.lastInputKey = null;// Recalculate with the new limit
     }
 }
\ No newline at end of file
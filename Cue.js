@@ -5,7 +5,9 @@
  */
 
 class Cue {
-    constructor() {
+    // Constructor for Cue class - ball physics turns the tip position into spin
+    constructor(ballPhysics) {
+        this.ballPhysics = ballPhysics;
         this.angle = 0;// Cue angle pointing direction
         this.length = 150;// Visual length of cue stick
         this.visible = false;// Whether cue is shown on screen
@@ -14,6 +16,15 @@ class Cue {
         this.charging = false;// Whether power is being charged
         this.maxSpeed = 20;// Maximum speed for cue ball
         
+        // Cue tip position on the cue ball face (-1 to 1, x right side, y top)
+        this.tipOffset = { x: 0, y: 0 };
+        this.spinSelector = { x: width - 50, y: height / 2, radius: 35 };// Clickable cue ball face
+        
+        // Cue elevation in degrees - a raised cue with side swerves the cue ball
+        this.elevation = 0;
+        this.maxElevation = 60;
+        this.elevationStep = 5;
+        
         // Visual colors
         this.woodColor = [139, 69, 19];           // Brown wood color
         this.tipColor = [255, 255, 255];          // White tip
@@ -57,18 +68,61 @@ class Cue {
     shoot(cueBall, power) {
         if (!cueBall.body) return;
         
+        let velocity = this.getShotVelocity(power);
+        cueBall.setVelocity(velocity.x, velocity.y);// Set velocity directly
+        cueBall.setSpin(this.getShotSpin(power));// Spin from where the tip strikes
+        
+        this.visible = false;// Hide cue temporarily after shooting
+    }
+    
+    // Cue ball velocity for a shot at the given power along the current angle
+    getShotVelocity(power) {
         // Calculate shooting direction (opposite to cue angle)
         let shootAngle = this.angle + PI; // Opposite direction
         
         // Calculate force based on power 
         let speed = map(power, 0, this.maxPower, 1, this.maxSpeed);
         
-        let velocityX = cos(shootAngle) * speed;
-        let velocityY = sin(shootAngle) * speed;
-        
-        cueBall.setVelocity(velocityX, velocityY);// Set velocity directly
+        return { x: cos(shootAngle) * speed, y: sin(shootAngle) * speed };
+    }
+    
+    // Spin put on the cue ball by a shot at the given power
+    getShotSpin(power) {
+        return this.ballPhysics.getStrikeSpin(this.getShotVelocity(power), this.tipOffset, this.elevation);
+    }
+    
+    // Raise or lower the cue within its limits
+    adjustElevation(change) {
+        this.elevation = constrain(this.elevation + change, 0, this.maxElevation);
+        console.log(`CUE ELEVATION: ${this.elevation} degrees`);
+    }
+    
+    // Centre the tip and lower the cue for a plain shot
+    clearSpin() {
+        this.tipOffset = { x: 0, y: 0 };
+        this.elevation = 0;
+    }
+    
+    // Set tip position from a click on the spin selector - returns false if the click missed it
+    selectTipOffset(mouseX, mouseY) {
+        let selector = this.spinSelector;
+        let offsetX = (mouseX - selector.x) / selector.radius;
+        let offsetY = (selector.y - mouseY) / selector.radius;// Screen y points down
+        let distance = Math.sqrt(offsetX * offsetX + offsetY * offsetY);
+        if (distance > 1) return false;
         
-        this.visible = false;// Hide cue temporarily after shooting
+        this.tipOffset = { x: offsetX, y: offsetY };
+        return true;
+    }
+    
+    // Describe the spin for the selector label
+    getSpinDescription() {
+        let parts = [];
+        if (this.tipOffset.y > 0.15) parts.push("Follow");
+        if (this.tipOffset.y < -0.15) parts.push("Draw");
+        if (this.tipOffset.x > 0.15) parts.push("Right");
+        if (this.tipOffset.x < -0.15) parts.push("Left");
+        return parts.length > 0 ? parts.join(" + ") : "Centre";
     }
     
     // Main drawing method for the cue
@@ -83,6 +137,34 @@ class Cue {
         } else {
             this.drawChargingEffects(cueBallPos.x, cueBallPos.y);// Show power effects when charging
         }
+        this.drawSpinSelector();// Show where the tip will strike
+    }
+    
+    // Draw cue ball face with a dot where the tip will strike
+    drawSpinSelector() {
+        let selector = this.spinSelector;
+        
+        fill(255);
+        stroke(0);
+        strokeWeight(1);
+        circle(selector.x, selector.y, selector.radius * 2);
+        
+        // Centre cross hairs
+        stroke(180);
+        line(selector.x - selector.radius, selector.y, selector.x + selector.radius, selector.y);
+        line(selector.x, selector.y - selector.radius, selector.x, selector.y + selector.radius);
+        
+        // Tip position
+        fill(255, 0, 0);
+        noStroke();
+        circle(selector.x + this.tipOffset.x * selector.radius, selector.y - this.tipOffset.y * selector.radius, 8);
+        
+        fill(255);
+        textAlign(CENTER);
+        textSize(12);
+        text("SPIN", selector.x, selector.y - selector.radius - 8);
+        text(this.getSpinDescription(), selector.x, selector.y + selector.radius + 16);
+        text("Cue " + this.elevation + "\u00B0", selector.x, selector.y + selector.radius + 32);
     }
     
     // Draw the main cue stick
@@ -92,9 +174,10 @@ class Cue {
         let cueStartX = cueBallX + cos(this.angle) * cueDistance;
         let cueStartY = cueBallY + sin(this.angle) * cueDistance;
         
-        // Calculate cue end position
-        let cueEndX = cueStartX + cos(this.angle) * this.length;
-        let cueEndY = cueStartY + sin(this.angle) * this.length;
+        // Calculate cue end position - a raised cue looks shorter from above
+        let drawnLength = this.length * cos(this.elevation * PI / 180);
+        let cueEndX = cueStartX + cos(this.angle) * drawnLength;
+        let cueEndY = cueStartY + sin(this.angle) * drawnLength;
         
         // Draw cue stick
         stroke(this.woodColor[0], this.woodColor[1], this.woodColor[2]); // Brown wood color
@@ -158,6 +241,7 @@ class Cue {
     hide() { this.visible = false; } // Hide cue
     isVisible() { return this.visible; } // Check if cue is visible
     isCharging() { return this.charging; } // Check if power is being charged
+    getAngle() { return this.angle; } // Get aim angle in radians
     getCurrentPower() { return this.power; } // Get current power level
     getPowerPercentage() { return (this.power / this.maxPower) * 100; } // Get power as percentage
     
@@ -167,6 +251,8 @@ class Cue {
         this.power = 0;
         this.charging = false;
         this.visible = false;
+        this.tipOffset = { x: 0, y: 0 };
+        this.elevation = 0;
     }
     
     // Set maximum power limit
@@ -181,12 +267,6 @@ class Cue {
     
     // Calculate velocity for current power (used by prediction system)
     calculateVelocity() {
-        let shootAngle = this.angle + PI;
-        let speed = map(this.power, 0, this.maxPower, 1, this.maxSpeed);
-        
-        return {
-            x: cos(shootAngle) * speed,
-            y: sin(shootAngle) * speed
-        };
+        return this.getShotVelocity(this.power);
     }
 }
\ No newline at end of file
@@ -5,7 +5,9 @@
 
 class DynamicObstacles {
     // Constructor - Initializes obstacle system with timing and physics parameters
-    constructor() {
+    constructor(rng) {
+        this.rng = rng; // Seeded random generator shared with the game
+        
         // Obstacle arrays and timing
         this.obstacles = []; // Array of active obstacles
         this.spawnTimer = 0; // Timer for spawning new obstacles
@@ -86,8 +88,8 @@ class DynamicObstacles {
         let maxAttempts = 50;
         
         while (attempts < maxAttempts) {
-            let x = random(boundaries.left + 80, boundaries.right - 80);
-            let y = random(boundaries.top + 80, boundaries.bottom - 80);
+            let x = this.rng.random(boundaries.left + 80, boundaries.right - 80);
+            let y = this.rng.random(boundaries.top + 80, boundaries.bottom - 80);
             
             // Check distance from D zone
             if (table.isInDZone(x, y)) {
@@ -407,6 +409,41 @@ class DynamicObstacles {
         rect(0, 0, this.obstacleSize.width, this.obstacleSize.height, this.cornerRadius);
     }
     
+    // Obstacles on the table and the spawn timer, as plain data for saving
+    getSaveData() {
+        return {
+            enabled: this.enabled,
+            spawnTimer: this.spawnTimer,
+            obstacles: this.obstacles.map(obstacle => ({
+                x: obstacle.x,
+                y: obstacle.y,
+                age: obstacle.age,
+                phase: obstacle.phase,
+                rotationAngle: obstacle.rotationAngle,
+                rotationSpeed: obstacle.rotationSpeed
+            }))
+        };
+    }
+    
+    // Replace the obstacles with saved ones - active obstacles get their physics bodies back
+    loadSaveData(data) {
+        this.disable();// Removes current obstacles and their bodies
+        this.enabled = data.enabled;
+        this.spawnTimer = data.spawnTimer;
+        
+        data.obstacles.forEach(saved => {
+            let obstacle = Object.assign({
+                maxAge: this.warningTime + this.activeTime + this.fadeTime,
+                body: null,
+                active: false
+            }, saved);
+            if (obstacle.phase === 'active') {
+                this.activateObstacle(obstacle);
+            }
+            this.obstacles.push(obstacle);
+        });
+    }
+    
     // System control methods
     enable() { // Enable obstacle system
         this.enabled = true;
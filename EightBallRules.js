@@ -0,0 +1,156 @@
+/**
+ * EightBallRules.js - 8-Ball Rule Set for Snooker Game
+ * This class plays 8-ball: solids (1-7) and stripes (9-15) are claimed by the first
+ * legal pot after the break, and the player who clears their group then pots the 8 wins.
+ * Potting the 8 early or on a foul loses the frame
+ */
+
+class EightBallRules extends PoolRules {
+    // Constructor for EightBallRules class - 15 balls in a five row triangle
+    constructor(frameManager, rng) {
+        super(frameManager, rng, "8-ball", [1, 2, 3, 4, 5], 8);
+        this.groups = [null, null];// 'solids' or 'stripes' for each player once claimed
+    }
+
+    // Start a new frame with an open table
+    reset() {
+        super.reset();
+        this.groups = [null, null];
+    }
+
+    // Groups claimed so far are saved with the break and ball in hand state
+    getSaveData() {
+        let data = super.getSaveData();
+        data.groups = this.groups.slice();
+        return data;
+    }
+
+    // Check the saved groups - each player has 'solids', 'stripes' or nothing yet
+    isValidSaveData(data) {
+        return super.isValidSaveData(data) && Array.isArray(data.groups) && data.groups.length === 2 &&
+               data.groups.every(group => group === null || group === 'solids' || group === 'stripes');
+    }
+
+    // Carry on from saved state
+    loadSaveData(data) {
+        super.loadSaveData(data);
+        this.groups = data.groups.slice();
+    }
+
+    // Create balls 1 to 15
+    createBalls(ballColors) {
+        let balls = [];
+        for (let number = 1; number <= 15; number++) {
+            balls.push(this.createPoolBall(number));
+        }
+        return balls;
+    }
+
+    // 8 in the middle of the third row, a solid and a stripe in the back corners, the rest shuffled
+    getRackOrder(balls) {
+        let eight = balls.find(ball => ball.number === 8);
+        let solids = this.shuffle(balls.filter(ball => this.getGroup(ball) === 'solids'));
+        let stripes = this.shuffle(balls.filter(ball => this.getGroup(ball) === 'stripes'));
+        let corners = [solids.pop(), stripes.pop()];
+        let others = this.shuffle(solids.concat(stripes));
+
+        let order = others.slice(0, 4).concat([eight], others.slice(4, 9));
+        return order.concat([corners[0]], others.slice(9), [corners[1]]);
+    }
+
+    // Group a ball belongs to: 'solids', 'stripes' or 'eight'
+    getGroup(ball) {
+        if (ball.number === 8) return "eight";
+        return ball.number < 8 ? "solids" : "stripes";
+    }
+
+    // Check if a player has no group balls left - balls potted this shot still count as on the table
+    isGroupCleared(playerIndex, ballManager, shot = null) {
+        let group = this.groups[playerIndex];
+        if (!group) return false;
+
+        let balls = ballManager.getBallsOnTable();
+        if (shot) balls = balls.concat(shot.pottedBalls);
+        return !balls.some(ball => ball.number !== null && this.getGroup(ball) === group);
+    }
+
+    // Break: any ball. Open table: anything but the 8. Otherwise the player's group, then the 8
+    isBallOn(ball, shot, ballManager) {
+        let playerIndex = this.frameManager.getCurrentPlayerIndex();
+        if (this.breakShot) return true;
+        if (!this.groups[playerIndex]) return ball.number !== 8;
+        if (this.isGroupCleared(playerIndex, ballManager, shot)) return ball.number === 8;
+        return this.getGroup(ball) === this.groups[playerIndex];
+    }
+
+    // Balls the player at the table may hit first
+    getBallsOn(ballManager) {
+        return ballManager.getBallsOnTable().filter(ball => this.isBallOn(ball, null, ballManager));
+    }
+
+    // Score the shot - the 8 decides the frame, the first legal pot claims a group
+    completeShot(shot, ballManager, table) {
+        let wasBreak = this.breakShot;
+        let playerIndex = this.frameManager.getCurrentPlayerIndex();
+        let player = this.frameManager.getCurrentPlayer();
+        let clearedBeforeShot = this.isGroupCleared(playerIndex, ballManager, shot);
+        let foul = this.judgeShot(shot, ballManager);
+        this.breakShot = false;
+
+        let potted = shot.pottedBalls.filter(ball => ball.id !== 'cue');
+        let eight = potted.find(ball => ball.number === 8);
+        if (eight && wasBreak) {
+            this.respotBall(eight, ballManager, table);// 8 on the break comes back up
+            potted = potted.filter(ball => ball !== eight);
+        } else if (eight) {
+            let message = foul || !clearedBeforeShot ?
+                this.awardFrame(this.frameManager.getOpponent(), `${player.name} potted the 8 ${foul ? "on a foul" : "early"}`) :
+                this.awardFrame(player, `${player.name} potted the 8`);
+            return { foul: foul, message: message, ballInHand: false };
+        }
+
+        if (foul) {
+            return this.awardBallInHand(foul, shot, wasBreak);
+        }
+
+        // Open table after the break - the first ball potted claims its group
+        if (!wasBreak && !this.groups[playerIndex] && potted.length > 0) {
+            this.assignGroups(playerIndex, this.getGroup(potted[0]));
+        }
+        let group = this.groups[playerIndex];
+        return this.continueVisit(potted.filter(ball => !group || this.getGroup(ball) === group));
+    }
+
+    // Give a player a group and the opponent the other one
+    assignGroups(playerIndex, group) {
+        this.groups[playerIndex] = group;
+        this.groups[1 - playerIndex] = group === "solids" ? "stripes" : "solids";
+        console.log(`${this.frameManager.getPlayers()[playerIndex].name} takes ${group.toUpperCase()}`);
+    }
+
+    // Ball on: 'open', the player's group or 'eight' once the group is cleared
+    getBallOn(ballManager) {
+        let playerIndex = this.frameManager.getCurrentPlayerIndex();
+        if (!this.groups[playerIndex]) return "open";
+        if (this.isGroupCleared(playerIndex, ballManager)) return "eight";
+        return this.groups[playerIndex];
+    }
+
+    // Ball on with the open table and the 8 spelled out
+    getBallOnText(ballManager) {
+        let ballOn = this.getBallOn(ballManager);
+        if (ballOn === "open") return this.breakShot ? "BREAK" : "OPEN TABLE";
+        if (ballOn === "eight") return "THE 8";
+        return ballOn.toUpperCase();
+    }
+
+    // Balls left and each player's group
+    getInfoLines(ballManager) {
+        let lines = super.getInfoLines(ballManager);
+        if (this.groups[0]) {
+            let players = this.frameManager.getPlayers();
+            lines[1] = `${players[0].name}: ${this.groups[0]}, ${players[1].name}: ${this.groups[1]}`;
+        }
+        return lines;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,107 @@
+/**
+ * FoulDetector.js - Foul Detection Class for Snooker Game
+ * This class judges each completed shot against the snooker foul rules
+ * and calculates the penalty awarded to the opponent
+ */
+
+class FoulDetector {
+    // Constructor for FoulDetector class
+    constructor() {
+        this.minimumPenalty = 4;// Lowest penalty for any foul
+        
+        // Colour values used when a specific colour is on
+        this.colourValues = { yellow: 2, green: 3, brown: 4, blue: 5, pink: 6, black: 7 };
+    }
+
+    // Judge a completed shot - returns null for a fair shot or a foul description
+    // A nominated free ball is treated as the ball on
+    judgeShot(shot, ballOn, freeBall = null) {
+        let fouls = [];
+        let ballOnValue = this.getBallOnValue(ballOn, shot.firstContact);
+
+        // No ball hit at all
+        if (!shot.firstContact) {
+            fouls.push({ reason: "No ball hit", value: ballOnValue });
+        }
+        // First ball hit was not the ball on
+        else if (!this.isBallOn(shot.firstContact, ballOn, freeBall)) {
+            fouls.push({
+                reason: `Hit ${this.getBallName(shot.firstContact)} first, ${ballOn.toUpperCase()} was on`,
+                value: Math.max(ballOnValue, shot.firstContact.value)
+            });
+        }
+
+        // Balls potted - cue ball in-off or a ball that was not on
+        shot.pottedBalls.forEach(ball => {
+            if (ball.id === 'cue') {
+                fouls.push({ reason: "Cue ball in-off", value: ballOnValue });
+            } else if (!this.isPotOn(ball, ballOn, shot.firstContact, freeBall)) {
+                fouls.push({
+                    reason: `Potted ${this.getBallName(ball)}, not the ball on`,
+                    value: Math.max(ballOnValue, ball.value)
+                });
+            }
+        });
+
+        // Balls forced off the table
+        shot.ballsOffTable.forEach(ball => {
+            fouls.push({
+                reason: `${this.getBallName(ball)} forced off the table`,
+                value: Math.max(ballOnValue, ball.value)
+            });
+        });
+
+        if (fouls.length === 0) {
+            return null;// Fair shot
+        }
+
+        // Only the highest value foul counts
+        let penalty = this.minimumPenalty;
+        fouls.forEach(foul => {
+            penalty = Math.max(penalty, foul.value);
+        });
+        console.log("FOUL DETECTED:", fouls.map(foul => foul.reason).join(", "));
+
+        return {
+            reasons: fouls.map(foul => foul.reason),
+            penalty: penalty,
+            miss: this.isMiss(shot, ballOn, freeBall)
+        };
+    }
+
+    // Check if foul is also a miss - the striker failed to hit a ball on first
+    isMiss(shot, ballOn, freeBall = null) {
+        return !shot.firstContact || !this.isBallOn(shot.firstContact, ballOn, freeBall);
+    }
+
+    // Check if ball can legally be hit first
+    isBallOn(ball, ballOn, freeBall = null) {
+        if (freeBall && ball === freeBall) return true;
+        if (ballOn === 'red') return ball.getType() === 'red';
+        if (ballOn === 'colour') return ball.getType() === 'colored';
+        return ball.id === ballOn;// A specific colour is on during the clearance
+    }
+
+    // Check if potting ball is legal - with a colour on only the colour hit first counts
+    isPotOn(ball, ballOn, firstContact, freeBall = null) {
+        if (ballOn === 'colour') {
+            return firstContact !== null && ball === firstContact && ball.getType() === 'colored';
+        }
+        return this.isBallOn(ball, ballOn, freeBall);
+    }
+
+    // Get value of the ball on - a free choice of colour takes the value of the colour hit
+    getBallOnValue(ballOn, firstContact) {
+        if (ballOn === 'red') return 1;
+        if (ballOn !== 'colour') return this.colourValues[ballOn];
+        if (firstContact && firstContact.getType() === 'colored') {
+            return firstContact.value;
+        }
+        return this.minimumPenalty;
+    }
+
+    // Get display name for a ball in foul messages
+    getBallName(ball) {
+        return ball.getType() === 'red' ? "RED" : ball.id.toUpperCase();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * FrameLog.js - Shot Log Class for Snooker Game
+ * This class keeps a record of every shot in the frame: how it was played, what the
+ * cue ball hit first, each cushion contact, what was potted where and any foul or mistake.
+ * The log can be downloaded as JSON or CSV for reviewing sessions outside the game
+ */
+
+class FrameLog {
+    // Constructor for FrameLog class - cushion contacts are named after the nearest table face
+    constructor(table) {
+        this.table = table;
+        this.shots = [];// Finished shot records, oldest first
+        this.currentRecord = null;// Record for the shot being played
+        this.balls = [];// Balls that can touch a cushion this shot
+        this.engine = null;// Engine whose clock times the contacts
+        this.startTime = 0;// Engine time when the cue ball was struck
+        this.filePrefix = "snooker-frame-log";// Name of exported files
+    }
+
+    // Listen for ball and cushion contacts in the game's engine
+    attach(physicsEngine) {
+        this.engine = physicsEngine;
+        Events.on(physicsEngine, 'collisionStart', event => {
+            event.pairs.forEach(pair => this.recordCushionContact(pair, Math.round(physicsEngine.timing.timestamp - this.startTime)));
+        });
+    }
+
+    // Start a record when the cue ball is struck - angle and power come from the cue
+    startShot(playerName, cue, power, balls) {
+        this.currentRecord = {
+            shot: this.shots.length + 1,
+            player: playerName,
+            cueAngle: Math.round(cue.getAngle() * 180 / Math.PI * 10) / 10,// Degrees, direction the cue points away from the shot
+            power: Math.round(power * 10) / 10,// Percent
+            spin: cue.getSpinDescription(),
+            firstContact: null,
+            cushions: [],// { ball, cushion, time } in the order they happened - time is ms after the strike
+            potted: [],// { ball, pocket }
+            foul: null,
+            messages: []
+        };
+        this.balls = balls;
+        this.startTime = this.engine ? this.engine.timing.timestamp : 0;
+    }
+
+    // Note a ball touching a cushion or jaw during the shot
+    // A ball meeting two bodies of the same cushion in one step is one contact
+    recordCushionContact(pair, time) {
+        if (!this.currentRecord) return;
+
+        let ball = this.balls.find(candidate => candidate.body === pair.bodyA || candidate.body === pair.bodyB);
+        if (!ball) return;
+        let other = ball.body === pair.bodyA ? pair.bodyB : pair.bodyA;
+        if (other.label !== 'cushion') return;
+
+        let cushion = this.getCushionName(ball.getPosition());
+        let repeated = this.currentRecord.cushions.some(contact =>
+            contact.ball === ball.id && contact.cushion === cushion && contact.time === time);
+        if (!repeated) {
+            this.currentRecord.cushions.push({ ball: ball.id, cushion: cushion, time: time });
+        }
+    }
+
+    // Note balls potted this step with the pocket each one dropped into
+    recordPots(pottedBalls, pockets) {
+        if (!this.currentRecord) return;
+
+        pottedBalls.forEach((ball, index) => {
+            this.currentRecord.potted.push({ ball: ball.id, pocket: pockets[index] ? pockets[index].name : null });
+        });
+    }
+
+    // Note a message shown to the players during the shot
+    recordMessage(message) {
+        if (this.currentRecord && message) {
+            this.currentRecord.messages.push(message);
+        }
+    }
+
+    // Finish the record once the rule set has judged the shot
+    finishShot(firstContact, outcome) {
+        if (!this.currentRecord) return;
+
+        let record = this.currentRecord;
+        record.firstContact = firstContact ? firstContact.id : null;
+        record.foul = outcome.foul ? outcome.foul.reasons.join("; ") : null;
+        this.recordMessage(outcome.message);
+        this.shots.push(record);
+        this.currentRecord = null;
+        console.log(`FRAME LOG: Shot ${record.shot} - ${record.potted.length} potted, ${record.cushions.length} cushions`);
+    }
+
+    // Forget every shot - a new frame starts a new log
+    clear() {
+        this.shots = [];
+        this.currentRecord = null;
+    }
+
+    // Name the cushion closest to a position - left, right, top or bottom
+    getCushionName(position) {
+        let faces = this.table.getCushionFaces();
+        let distances = {
+            left: Math.abs(position.x - faces.left),
+            right: Math.abs(position.x - faces.right),
+            top: Math.abs(position.y - faces.top),
+            bottom: Math.abs(position.y - faces.bottom)
+        };
+        return Object.keys(distances).reduce((nearest, side) => distances[side] < distances[nearest] ? side : nearest);
+    }
+
+    // One header row then one row per shot - lists inside a cell are separated by semicolons
+    toCSV() {
+        let rows = [["shot", "player", "cueAngle", "power", "spin", "firstContact", "cushions", "potted", "foul", "messages"]];
+        this.shots.forEach(record => {
+            rows.push([
+                record.shot,
+                record.player,
+                record.cueAngle,
+                record.power,
+                record.spin,
+                record.firstContact || "",
+                record.cushions.map(contact => `${contact.ball}:${contact.cushion}`).join(";"),
+                record.potted.map(pot => `${pot.ball}:${pot.pocket}`).join(";"),
+                record.foul || "",
+                record.messages.join(";")
+            ]);
+        });
+        return rows.map(row => row.map(value => this.toCSVField(value)).join(","));
+    }
+
+    // Quote a CSV value if it holds a comma, quote or line break
+    toCSVField(value) {
+        let text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Download the log as a JSON file
+    exportJSON() {
+        saveJSON({ shots: this.shots }, `${this.filePrefix}.json`);
+        console.log(`FRAME LOG: Exported ${this.shots.length} shots as JSON`);
+    }
+
+    // Download the log as a CSV file
+    exportCSV() {
+        saveStrings(this.toCSV(), this.filePrefix, "csv");
+        console.log(`FRAME LOG: Exported ${this.shots.length} shots as CSV`);
+    }
+
+    // Getter methods for log information
+    getShots() { return this.shots; }// Get finished shot records
+    getShotCount() { return this.shots.length; }// Get number of shots logged
+    isRecording() { return this.currentRecord !== null; }// Check if a shot is being logged
+}
\ No newline at end of file
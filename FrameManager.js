@@ -0,0 +1,321 @@
+/**
+ * FrameManager.js - Frame Manager Class for Snooker Game
+ * This class handles frame scoring for two players including
+ * turns, breaks and the points awarded for potted balls
+ */
+
+class FrameManager {
+    // Constructor for FrameManager class - Initializes both players and break tracking
+    constructor(rng) {
+        this.rng = rng;// Seeded random generator shared with the game
+        this.players = [
+            { name: "Player 1", score: 0, highestBreak: 0 },
+            { name: "Player 2", score: 0, highestBreak: 0 }
+        ];
+        this.currentPlayerIndex = 0;// Index of the player at the table
+        this.currentBreak = 0;// Points scored in the current visit
+        this.ballOn = "red";// Ball on for the next shot: 'red', 'colour' or a colour name
+        
+        // Colours must be cleared in this order once the reds are gone
+        this.colourSequence = ['yellow', 'green', 'brown', 'blue', 'pink', 'black'];
+        this.missingColours = [];// Colours left out of an edited layout - counted as already cleared
+        this.frameOver = false;// Whether the frame has been decided
+        this.winner = null;// Player the frame was awarded to when not decided on points
+        this.respottedBlack = false;// Level frame being decided on a re-spotted black
+        this.freeBall = null;// Ball nominated as a free ball for the next shot
+    }
+
+    // Award the value of a potted ball to the current player
+    awardPottedBall(ball, value = ball.value) {
+        let player = this.getCurrentPlayer();
+        player.score += value;
+        this.currentBreak += value;
+
+        if (this.currentBreak > player.highestBreak) {
+            player.highestBreak = this.currentBreak;
+        }
+        console.log(`${player.name} scores ${value} (${ball.id}) - break: ${this.currentBreak}`);
+    }
+
+    // Process the end of a fair shot - visit continues only if something was potted
+    completeShot(pottedBalls, redsRemaining, ballOnValue) {
+        let scoringPots = pottedBalls.filter(ball => ball.id !== 'cue');
+        scoringPots.forEach(ball => {
+            if (ball !== this.freeBall) {
+                this.awardPottedBall(ball);
+            } else if (this.ballOn === 'red' || scoringPots.length === 1) {
+                // Free ball scores as the ball on - with a colour on it only counts when potted alone
+                this.awardPottedBall(ball, ballOnValue);
+            }
+        });
+
+        if (scoringPots.length === 0) {
+            this.endVisit(redsRemaining);// Nothing potted - visit is over
+        } else if (this.ballOn === 'red' && this.getColoursInPlay().length > 0) {
+            this.ballOn = "colour";// Red potted - any colour is on next
+        } else if (this.ballOn === 'red' || this.ballOn === 'colour') {
+            // Colour potted (or a red with no colours to follow) - back on a red, or start clearing the colours
+            this.startNextRedOrClearance(redsRemaining);
+        } else if (scoringPots.some(ball => ball.id === this.ballOn)) {
+            this.advanceColourOn();// Colour on cleared (a free ball alone leaves it on)
+        }
+    }
+
+    // Back on a red while any are left, then the first colour of the clearance
+    // A layout with nothing left to pot is over
+    startNextRedOrClearance(redsRemaining) {
+        let colours = this.getColoursInPlay();
+        if (redsRemaining > 0) {
+            this.ballOn = "red";
+        } else if (colours.length > 0) {
+            this.ballOn = colours[0];
+        } else {
+            this.endFrame();
+        }
+    }
+
+    // Move on to the next colour in the clearance sequence - missing colours are skipped
+    advanceColourOn() {
+        let colours = this.getColoursInPlay();
+        if (this.ballOn === 'black' || this.ballOn === colours[colours.length - 1]) {
+            this.endFrame();// Final colour potted
+        } else {
+            this.ballOn = colours[colours.indexOf(this.ballOn) + 1];
+        }
+    }
+
+    // Start a frame from a layout set up by hand - reds first if any, else the lowest colour on the table
+    startFromLayout(redsRemaining, colourIds) {
+        this.missingColours = this.colourSequence.filter(colour => !colourIds.includes(colour));
+        this.ballOn = "red";
+        this.startNextRedOrClearance(redsRemaining);
+        console.log(`EDITED LAYOUT: ${this.ballOn.toUpperCase()} on` +
+                    (this.missingColours.length > 0 ? `, ${this.missingColours.join(", ")} already cleared` : ""));
+    }
+
+    // Colours still to be cleared in order - every colour except those missing from an edited layout
+    getColoursInPlay() {
+        return this.colourSequence.filter(colour => !this.missingColours.includes(colour));
+    }
+
+    // Nominate a ball as the free ball for the next shot
+    nominateFreeBall(ball) {
+        this.freeBall = ball;
+        console.log(`FREE BALL: ${this.getCurrentPlayer().name} nominates ${ball.id.toUpperCase()}`);
+    }
+
+    // Clear free ball once the nominated shot has been played
+    clearFreeBall() {
+        this.freeBall = null;
+    }
+
+    // Award foul penalty to the opponent and end the visit
+    awardFoul(penalty, redsRemaining) {
+        this.getOpponent().score += penalty;
+        console.log(`${this.getOpponent().name} receives ${penalty} penalty points`);
+        
+        // With only the black left the first foul ends the frame
+        if (this.ballOn === 'black') {
+            this.currentBreak = 0;
+            this.endFrame();
+            return;
+        }
+        this.endVisit(redsRemaining);
+    }
+
+    // End the frame and log the result - level scores go to a re-spotted black
+    // Pool games name the winner since their frames are not decided on points
+    endFrame(winner = this.getWinner()) {
+        if (!winner) {
+            this.startRespottedBlack();
+            return;
+        }
+        this.winner = winner;
+        this.frameOver = true;
+        console.log(`FRAME OVER: ${winner.name} wins ${this.players[0].score}-${this.players[1].score}`);
+    }
+
+    // Start the re-spotted black tie-break - first shot decided at random
+    startRespottedBlack() {
+        this.respottedBlack = true;
+        this.missingColours = this.missingColours.filter(colour => colour !== 'black');// Black goes back on its spot
+        this.ballOn = "black";
+        this.currentBreak = 0;
+        this.freeBall = null;
+        this.currentPlayerIndex = Math.floor(this.rng.random(2));
+        console.log(`RE-SPOTTED BLACK: Scores level at ${this.players[0].score} - ${this.getCurrentPlayer().name} to play first`);
+    }
+
+    // Get current frame phase
+    getPhase() {
+        if (this.respottedBlack) return "RESPOTTED_BLACK";
+        if (this.isClearingColours()) return "COLOURS";
+        return "REDS";
+    }
+
+    // End the current visit and pass the turn to the other player
+    endVisit(redsRemaining) {
+        if (this.currentBreak > 0) {
+            console.log(`${this.getCurrentPlayer().name} break ended on ${this.currentBreak}`);
+        }
+        this.currentBreak = 0;
+        this.updateBallOn(redsRemaining);
+        this.switchTurn();
+    }
+
+    // Set ball on for the start of a new visit - a colour being cleared stays on
+    updateBallOn(redsRemaining) {
+        if (!this.isClearingColours()) {
+            this.ballOn = redsRemaining > 0 ? "red" : this.getColoursInPlay()[0];
+        }
+    }
+
+    // Check if the frame is in the colours clearance phase
+    isClearingColours() {
+        return this.colourSequence.includes(this.ballOn);
+    }
+
+    // Check if a potted colour stays down - only the colour on during the clearance
+    colourStaysDown(ball, ballOn) {
+        return this.colourSequence.includes(ballOn) && ball.id === ballOn;
+    }
+
+    // Points left on the table - each red can be followed by the black
+    getPointsRemaining(redsRemaining, coloursOnTable) {
+        let points = redsRemaining * 8;
+        coloursOnTable.forEach(ball => {
+            points += ball.value;
+        });
+        if (this.ballOn === 'colour') {
+            points += 7;// Colour still to come after the red just potted
+        }
+        return points;
+    }
+
+    // Snookers the trailing player needs to catch up - null when none are needed
+    getSnookersRequired(pointsRemaining, snookerValue) {
+        let leader = this.getWinner();
+        if (!leader) return null;
+
+        let trailer = leader === this.players[0] ? this.players[1] : this.players[0];
+        let shortfall = leader.score - trailer.score - pointsRemaining;
+        if (shortfall <= 0) return null;
+
+        return {
+            player: trailer,
+            count: Math.ceil(shortfall / snookerValue)
+        };
+    }
+
+    // Get the player the frame was awarded to, else the higher score - null when level
+    getWinner() {
+        if (this.winner) return this.winner;
+        if (this.players[0].score === this.players[1].score) return null;
+        return this.players[0].score > this.players[1].score ? this.players[0] : this.players[1];
+    }
+
+    // Capture frame state before a shot so it can be put back after a miss
+    captureState() {
+        return {
+            currentPlayerIndex: this.currentPlayerIndex,
+            ballOn: this.ballOn,
+            freeBall: this.freeBall
+        };
+    }
+
+    // Put back the pre-shot state - scores stay, the offender plays again from a new visit
+    restoreState(state) {
+        this.currentPlayerIndex = state.currentPlayerIndex;
+        this.ballOn = state.ballOn;
+        this.freeBall = state.freeBall;
+        this.currentBreak = 0;
+        console.log(`Frame state restored - ${this.getCurrentPlayer().name} to play again`);
+    }
+
+    // Plain copy of the whole frame for saving - the winner by index and the free ball by id
+    getSaveData() {
+        return {
+            players: this.players.map(player => ({ score: player.score, highestBreak: player.highestBreak })),
+            currentPlayerIndex: this.currentPlayerIndex,
+            currentBreak: this.currentBreak,
+            ballOn: this.ballOn,
+            frameOver: this.frameOver,
+            winnerIndex: this.winner ? this.players.indexOf(this.winner) : null,
+            respottedBlack: this.respottedBlack,
+            freeBall: this.freeBall ? this.freeBall.id : null,
+            missingColours: this.missingColours.slice()
+        };
+    }
+
+    // Check saved frame data before any of it is used - the scoreboard reads every field
+    isValidSaveData(data) {
+        let isPlayerIndex = index => index === 0 || index === 1;
+        return data !== null && typeof data === 'object' &&
+               Array.isArray(data.players) && data.players.length === 2 &&
+               data.players.every(player => player !== null && Number.isFinite(player.score) && Number.isFinite(player.highestBreak)) &&
+               isPlayerIndex(data.currentPlayerIndex) &&
+               Number.isFinite(data.currentBreak) &&
+               this.isValidBallOn(data.ballOn) &&
+               typeof data.frameOver === 'boolean' &&
+               (data.winnerIndex === null || isPlayerIndex(data.winnerIndex)) &&
+               typeof data.respottedBlack === 'boolean' &&
+               (data.freeBall === null || typeof data.freeBall === 'string') &&
+               (data.missingColours === undefined ||
+                (Array.isArray(data.missingColours) && data.missingColours.every(colour => this.colourSequence.includes(colour))));
+    }
+
+    // Check a saved ball on is one the frame can have: 'red', 'colour' or a colour name
+    isValidBallOn(ballOn) {
+        return ballOn === 'red' || ballOn === 'colour' || this.colourSequence.includes(ballOn);
+    }
+
+    // Carry on a saved frame - the free ball is looked up among the balls now in play
+    loadSaveData(data, balls) {
+        data.players.forEach((saved, index) => {
+            this.players[index].score = saved.score;
+            this.players[index].highestBreak = saved.highestBreak;
+        });
+        this.currentPlayerIndex = data.currentPlayerIndex;
+        this.currentBreak = data.currentBreak;
+        this.ballOn = data.ballOn;
+        this.frameOver = data.frameOver;
+        this.winner = data.winnerIndex !== null ? this.players[data.winnerIndex] : null;
+        this.respottedBlack = data.respottedBlack;
+        this.freeBall = balls.find(ball => ball.id === data.freeBall) || null;
+        this.missingColours = (data.missingColours || []).slice();// Saves from before edited layouts have none
+    }
+
+    // Switch turn to the other player
+    switchTurn() {
+        this.currentPlayerIndex = 1 - this.currentPlayerIndex;
+        console.log(`TURN: ${this.getCurrentPlayer().name} to play`);
+    }
+
+    // Reset scores and turns for a new frame
+    reset() {
+        this.players.forEach(player => {
+            player.score = 0;
+            player.highestBreak = 0;
+        });
+        this.currentPlayerIndex = 0;
+        this.currentBreak = 0;
+        this.ballOn = "red";
+        this.frameOver = false;
+        this.winner = null;
+        this.respottedBlack = false;
+        this.freeBall = null;
+        this.missingColours = [];
+    }
+
+    // Getter methods for scoring information
+    getPlayers() { return this.players; }// Get both players
+    getCurrentPlayer() { return this.players[this.currentPlayerIndex]; }// Get player at the table
+    getCurrentPlayerIndex() { return this.currentPlayerIndex; }// Get index of player at the table
+    getOpponent() { return this.players[1 - this.currentPlayerIndex]; }// Get player waiting to play
+    getCurrentBreak() { return this.currentBreak; }// Get points in current break
+    getBallOn() { return this.ballOn; }// Get ball on for the next shot
+    isFrameOver() { return this.frameOver; }// Check if the frame has been decided
+    isRespottedBlack() { return this.respottedBlack; }// Check if playing the re-spotted black
+    getFreeBall() { return this.freeBall; }// Get nominated free ball
+    getScore(playerIndex) { return this.players[playerIndex].score; }// Get score for a player
+}
\ No newline at end of file
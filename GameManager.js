@@ -6,18 +6,48 @@
 
 class GameManager {
     // Constructor for GameManager class - Initialize game state and creates component instances
-    constructor() {
+    // The same seed always gives the same random layouts, re-spots and obstacles
+    constructor(seed = Date.now()) {
         // Game state management
-        this.gameState = "PLACE_CUE_BALL"; // States: PLACE_CUE_BALL, AIMING, READY_TO_SHOOT, BALL_MOVING
+        this.gameState = "PLACE_CUE_BALL"; // States: PLACE_CUE_BALL, AIMING, READY_TO_SHOOT, BALL_MOVING, NOMINATE_FREE_BALL, MISS_DECISION, FRAME_OVER
         this.displayMode = 1; // 1 = starting positions, 2 = random reds, 3 = random all
+        this.gameType = "snooker"; // Rule set being played: snooker, six-red, 8-ball or 9-ball
         this.cueBallPlaced = false; // Whether cue ball has been placed by player
         
         // Game components (initialized in setup)
         this.table = null;
         this.ballManager = null;
         this.cue = null;
+        this.ballPhysics = null;
+        this.shotSimulator = null;
         this.ballPrediction = null; 
         this.dynamicObstacles = null; 
+        this.frameManager = null;
+        this.foulDetector = null;
+        this.ruleSets = null;// Every rule set by game type
+        this.rules = null;// Rule set for the current game
+        this.snookerDetector = null;
+        this.shotHints = null;
+        this.shotReplay = null;
+        this.aiPlayer = null;
+        this.saveManager = null;
+        this.frameLog = null;
+        this.positionEditor = null;
+        this.practiceDrills = null;
+        this.playerStats = null;
+        this.editedLayout = null;// Layout from the editor that mode 4 racks
+        
+        // Shot tracking (from cue release until all balls stop)
+        this.currentShot = null;
+        this.lastShotResult = null;// Outcome of the last completed shot
+        this.preShotSnapshot = null;// Ball positions and frame state before the last shot
+        this.snookered = false;// Whether the player at the table is snookered
+        
+        // Deterministic simulation - fixed physics step independent of frame rate
+        this.rng = new SeededRandom(seed);// Seeded randomness owned by the game
+        this.fixedTimeStep = 1000 / 60;// Physics step length in milliseconds
+        this.maxStepsPerFrame = 5;// Limit catch-up steps after a slow frame
+        this.timeAccumulator = 0;// Unsimulated time carried between frames
         
         // Game message system
         this.gameMessage = "";
@@ -34,53 +64,197 @@ class GameManager {
         engine.world.gravity.y = 0; 
         engine.world.gravity.x = 0;
         
+        // Spin and cloth friction on top of Matter.js
+        this.ballPhysics = new BallPhysics();
+        this.ballPhysics.attach(engine);
+        
+        // Rule sets share the frame manager for players, turns and scores
+        this.frameManager = new FrameManager(this.rng);
+        this.foulDetector = new FoulDetector();
+        this.ruleSets = {
+            "snooker": new SnookerRules(this.frameManager, this.foulDetector),
+            "six-red": new SixRedRules(this.frameManager, this.foulDetector),
+            "8-ball": new EightBallRules(this.frameManager, this.rng),
+            "9-ball": new NineBallRules(this.frameManager, this.rng)
+        };
+        this.rules = this.ruleSets[this.gameType];
+        
         // Initialize game components
-        this.table = new Table();
-        this.ballManager = new BallManager();
-        this.cue = new Cue();
-        this.ballPrediction = new BallTrailPrediction(); 
-        this.dynamicObstacles = new DynamicObstacles(); 
+        this.table = new Table(this.rng);
+        this.ballManager = new BallManager(this.rng, this.rules);
+        this.cue = new Cue(this.ballPhysics);
+        this.shotSimulator = new ShotSimulator(this.table, this.ballPhysics);
+        this.ballPrediction = new BallTrailPrediction(this.shotSimulator); 
+        this.dynamicObstacles = new DynamicObstacles(this.rng); 
+        this.snookerDetector = new SnookerDetector();
+        this.shotHints = new ShotHints(this.table, this.snookerDetector);
+        this.shotReplay = new ShotReplay();
+        this.aiPlayer = new AIPlayer(this.shotSimulator, this.shotHints, this.rng);
+        this.saveManager = new SaveManager();
+        this.frameLog = new FrameLog(this.table);
+        this.frameLog.attach(engine);
+        this.positionEditor = new PositionEditor(this.table);
+        this.practiceDrills = new PracticeDrills(this.table);
+        this.playerStats = new PlayerStats(this.table, this.shotHints, this.saveManager);
         
-        this.ballManager.positionBallsStarting(this.table);// Set initial ball positions
+        this.rules.rackBalls(this.ballManager, this.table, this.displayMode);// Set initial ball positions
     }
     
     // Main update loop - called from draw()
     update() {
-        Engine.update(engine);                              // Update physics
-        this.ballManager.updateBallMovementState();         // Update ball movement state
-        this.ballManager.handleCollisions(this.table);      // Handle collision detection
+        // Table is frozen while balls are moved by hand or the stats screen is open
+        if (this.positionEditor.isActive() || this.playerStats.isVisible()) {
+            this.updateGameMessageTimer();
+            return;
+        }
+        
+        // Live table is frozen while a replay is shown
+        if (this.shotReplay.isActive()) {
+            this.shotReplay.update();
+            return;
+        }
+        
+        // Run as many fixed physics steps as the elapsed time needs
+        this.timeAccumulator += Math.min(deltaTime, this.fixedTimeStep * this.maxStepsPerFrame);
+        while (this.timeAccumulator >= this.fixedTimeStep) {
+            this.stepSimulation();
+            this.timeAccumulator -= this.fixedTimeStep;
+        }
         this.ballManager.updateCollisionTimer();            // Update collision message timer
-        this.handlePocketEvents();                          // Check for balls in pockets
         
         // Update cue power if charging and balls aren't moving
         if (this.cue.isCharging() && !this.ballManager.areBallsMoving()) {
             this.cue.updatePower();
         }
         
-        // Update cue angle based on mouse position
-        if (this.cueBallPlaced && this.ballManager.getCueBall().body) {
+        // Update cue angle based on mouse position - the computer aims for itself
+        if (this.cueBallPlaced && this.ballManager.getCueBall().body && !this.isComputerTurn()) {
             this.cue.updateAngle(mouseX, mouseY, this.ballManager.getCueBall());
         }
         
         this.updateBallPrediction();// Update ball trail prediction
-        this.dynamicObstacles.update(this.table, this.ballManager);// Update dynamic obstacles
+        this.updateShotHints();// Update suggested pots
         this.handleCueVisibility();// Auto-show cue when ball stops moving
+        this.updateComputerTurn();// Let the computer opponent play
+        this.updateSnookerStatus();// Update snookered indicator
         this.updateGameMessageTimer();// Update game message timer
     }
     
+    // Advance the simulation by one fixed step - everything that affects shot outcomes
+    stepSimulation() {
+        Engine.update(engine, this.fixedTimeStep);          // Update physics
+        this.ballPhysics.update(engine);                    // Apply spin and cloth friction
+        this.shotReplay.recordFrame(this.ballManager);      // Record ball states during a shot
+        this.ballManager.updateBallMovementState();         // Update ball movement state
+        this.ballManager.handleCollisions(this.table);      // Handle collision detection
+        this.handlePocketEvents();                          // Check for balls in pockets
+        this.handleOffTableEvents();                        // Check for balls off the table
+        this.checkShotComplete();                           // Score the shot once balls stop
+        this.dynamicObstacles.update(this.table, this.ballManager);// Update dynamic obstacles
+    }
+    
+    // Restart the current layout with a new seed - same seed gives the same game
+    setSeed(seed) {
+        this.rng.setSeed(seed);
+        console.log(`RANDOM SEED: ${this.rng.getSeed()}`);
+        this.setDisplayMode(this.displayMode);
+    }
+    
+    // Ask for a seed and restart the layout with it - keeping the current seed replays the same game
+    promptForSeed() {
+        if (this.currentShot || this.gameState === "READY_TO_SHOOT") return;
+        
+        let input = prompt("Random seed - keep it to replay this game", this.rng.getSeed());
+        if (input === null) return;// Cancelled
+        if (input.trim() === "" || isNaN(Number(input))) {
+            this.showGameMessage("The seed must be a number");
+            return;
+        }
+        this.setSeed(Number(input));
+        this.showGameMessage(`New frame with seed ${this.rng.getSeed()}`);
+    }
+    
+    // Let the computer take its turn - it places, aims and shoots through the same methods as a player
+    updateComputerTurn() {
+        if (!this.isComputerTurn() || this.currentShot || this.ballManager.areBallsMoving()) return;
+        let cueBall = this.ballManager.getCueBall();
+        
+        if (this.gameState === "MISS_DECISION") {
+            this.playFromHere();
+        } else if (this.gameState === "NOMINATE_FREE_BALL") {
+            let ball = this.aiPlayer.findNearestBall(cueBall.getPosition(), this.ballManager.getBallsOnTable());
+            let position = ball.getPosition();
+            this.nominateFreeBall(position.x, position.y);
+        } else if (this.gameState === "PLACE_CUE_BALL") {
+            let spot = this.aiPlayer.chooseCueBallPosition(this.table, this.ballManager, this.rules);
+            if (spot) this.placeCueBall(spot.x, spot.y);
+        } else if (this.gameState === "AIMING") {
+            this.updateComputerShot(cueBall);
+        }
+    }
+    
+    // Plan the computer's shot over a few frames, show its aim, then shoot
+    updateComputerShot(cueBall) {
+        if (!this.aiPlayer.getShot() && !this.aiPlayer.isPlanning()) {
+            this.cue.clearSpin();// Computer plays plain centre-ball shots
+            this.aiPlayer.startPlanning(cueBall, this.ballManager, this.rules);
+        } else if (this.aiPlayer.isPlanning()) {
+            if (this.aiPlayer.think(this.cue, cueBall, this.ballManager)) {
+                let shot = this.aiPlayer.chooseShot(cueBall);
+                this.cue.updateAngle(shot.x, shot.y, cueBall);// Hold the cue on the chosen line
+            }
+        } else if (this.aiPlayer.updateAim()) {
+            let power = this.aiPlayer.getShot().power;
+            this.aiPlayer.reset();
+            this.takeShot(power);
+        }
+    }
+    
+    // Check if the computer opponent is at the table
+    isComputerTurn() {
+        return this.aiPlayer.isTurn(this.frameManager) && this.gameState !== "FRAME_OVER";
+    }
+    
+    // Check if the player at the table is snookered while balls are at rest
+    updateSnookerStatus() {
+        this.snookered = !this.ballManager.areBallsMoving() && 
+                         !this.currentShot && 
+                         this.isPlayerSnookered();
+    }
+    
+    // Balls the player at the table may hit first - the drill's targets in practice
+    getBallsOn() {
+        if (this.practiceDrills.isActive()) {
+            return this.practiceDrills.getTargets(this.ballManager);
+        }
+        return this.rules.getBallsOn(this.ballManager);// Includes a nominated free ball
+    }
+    
+    // Check if no ball on can be hit on both edges from the cue ball
+    isPlayerSnookered() {
+        let cueBall = this.ballManager.getCueBall();
+        if (!cueBall.body) return false;// Ball in hand - cannot be snookered
+        
+        let ballsOn = this.getBallsOn();
+        let ballsNotOn = this.ballManager.getBallsOnTable().filter(ball => !ballsOn.includes(ball));
+        
+        return this.snookerDetector.isSnookered(cueBall, ballsOn, ballsNotOn);
+    }
+    
     // Update ball trail prediction system
     updateBallPrediction() {
         // Only update prediction when cue ball is placed, cue is visible, and balls aren't moving
         if (this.cueBallPlaced && 
             this.cue.isVisible() && 
             !this.ballManager.areBallsMoving() &&
+            !this.aiPlayer.isPlanning() &&// Computer's cue sweeps through candidates while it thinks
             this.ballManager.getCueBall().body) {
             
             // Calculate prediction trail
             this.ballPrediction.calculatePrediction(
                 this.ballManager.getCueBall(), 
                 this.cue, 
-                this.table
+                this.ballManager.getBallsOnTable()
             );
             
             // Show prediction if enabled
@@ -93,25 +267,67 @@ class GameManager {
         }
     }
     
+    // Update suggested pots while the player at the table is aiming
+    updateShotHints() {
+        if (this.gameState === "AIMING" && 
+            this.cueBallPlaced && 
+            !this.ballManager.areBallsMoving() &&
+            this.ballManager.getCueBall().body) {
+            
+            this.shotHints.calculateHints(
+                this.ballManager.getCueBall(),
+                this.getBallsOn(),
+                this.ballManager.getBallsOnTable(),
+                this.rules
+            );
+            this.shotHints.show();
+        } else {
+            this.shotHints.hide();
+        }
+    }
+    
     // Main render loop - called from draw()
     render() {
         background(40, 80, 40); // Dark green background
         
-        // Draw table with D zone highlight
+        // Replay draws its own copies of the balls over the table
+        if (this.shotReplay.isActive()) {
+            this.table.draw();
+            this.shotReplay.draw();
+            return;
+        }
+        
+        // Editor draws the balls on the table and its own tray and instructions
+        if (this.positionEditor.isActive()) {
+            this.table.draw();
+            this.ballManager.drawBalls();
+            this.positionEditor.draw(this.ballManager);
+            this.drawGameMessages();
+            return;
+        }
+        
+        // Draw table with the cue ball placement zone highlighted
         this.table.draw();
-        this.table.drawDZoneHighlight(this.cueBallPlaced);
+        if (!this.cueBallPlaced) {
+            this.rules.drawCueBallZone(this.table);
+        }
         
         // Draw balls based on current mode
         if (this.displayMode > 0) {
             this.ballManager.drawBalls();
         }
         
+        this.drawFreeBallHighlight();// Mark nominated free ball
         this.renderCue();// Draw cue if conditions are met
         this.ballPrediction.draw();// Draw ball trail prediction 
+        this.shotHints.draw(this.ballManager.getCueBall());// Draw suggested pots
         this.dynamicObstacles.draw();// Draw dynamic obstacles 
         this.drawUI();// Draw user interface
+        this.practiceDrills.draw(this.ballManager, this.rules);// Draw drill and session results
+        this.drawMissPrompt();// Draw foul and miss choice
         this.ballManager.drawCollisionMessage();// Draw collision messages
         this.drawGameMessages();// Draw game messages
+        this.playerStats.draw(this.frameManager.getPlayers().map(player => player.name));// Draw stats screen over everything
     }
     
     // Renders cue if appropriate conditions are met
@@ -138,15 +354,258 @@ class GameManager {
             this.ballPrediction.hide(); // Hide prediction when cue ball potted
         }
         
+        // Remember everything potted during the current shot
+        if (this.currentShot) {
+            this.currentShot.pottedBalls.push(...pocketEvents.pottedBalls);
+            this.currentShot.pockets.push(...pocketEvents.pockets);
+            this.frameLog.recordPots(pocketEvents.pottedBalls, pocketEvents.pockets);
+            this.frameLog.recordMessage(pocketEvents.gameMessage);
+        } else {
+            this.rules.respotBalls(pocketEvents.pottedBalls, true, this.ballManager, this.table);// Potted outside a shot
+        }
+        
         // Show game messages if any
         if (pocketEvents.gameMessage) {
             this.showGameMessage(pocketEvents.gameMessage);
         }
     }
     
+    // Handle balls forced off the table during play
+    handleOffTableEvents() {
+        let offTableEvents = this.ballManager.checkBallsOffTable(this.table);
+        
+        // Cue ball off the table goes back in hand
+        if (offTableEvents.cueBallOffTable) {
+            this.cueBallPlaced = false;
+            this.gameState = "PLACE_CUE_BALL";
+            this.cue.hide();
+            this.ballPrediction.hide();
+        }
+        
+        if (this.currentShot) {
+            this.currentShot.ballsOffTable.push(...offTableEvents.ballsOffTable);
+        }
+    }
+    
+    // Start tracking a new shot when the cue is released
+    startShot(power) {
+        this.frameLog.startShot(this.frameManager.getCurrentPlayer().name, this.cue, power,
+                                this.ballManager.getBallsOnTable().concat([this.ballManager.getCueBall()]));
+        if (this.practiceDrills.isActive()) {
+            this.practiceDrills.startShot(this.ballManager);// Targets are fixed when the cue ball is struck
+        }
+        this.playerStats.startShot(this.ballManager.getCueBall(), this.getBallsOn());
+        this.preShotSnapshot = {
+            balls: this.ballManager.captureSnapshot(),
+            frame: this.frameManager.captureState()
+        };
+        this.currentShot = {
+            pottedBalls: [],
+            pockets: [],// Pocket each potted ball dropped into
+            ballsOffTable: []
+        };
+        this.ballManager.startShotTracking();
+        this.shotReplay.startRecording(this.ballManager);
+    }
+    
+    // Finish the shot once every ball has stopped - the rule set judges and scores it
+    checkShotComplete() {
+        if (!this.currentShot || this.ballManager.areBallsMoving()) return;
+        
+        let shot = this.currentShot;
+        shot.firstContact = this.ballManager.getFirstContact();
+        this.currentShot = null;
+        this.ballManager.stopShotTracking();
+        this.shotReplay.stopRecording();
+        
+        // Practice shots are judged by the drill, not the frame rules
+        if (this.practiceDrills.isActive()) {
+            this.completePracticeShot(shot);
+            return;
+        }
+        
+        let playerIndex = this.frameManager.getCurrentPlayerIndex();
+        let ballOn = this.rules.getBallOn(this.ballManager);
+        let wasRespottedBlack = this.frameManager.isRespottedBlack();
+        let breakBefore = this.frameManager.getCurrentBreak();
+        let computerShot = this.isComputerTurn();
+        let outcome = this.rules.completeShot(shot, this.ballManager, this.table);
+        let foul = outcome.foul;
+        this.frameLog.finishShot(shot.firstContact, outcome);
+        if (!computerShot) {
+            this.recordPlayerStats(playerIndex, breakBefore, shot, foul);
+        }
+        this.lastShotResult = {
+            playerIndex: playerIndex,
+            ballOn: ballOn,
+            firstContact: shot.firstContact,
+            pottedBalls: shot.pottedBalls,
+            ballsOffTable: shot.ballsOffTable,
+            foul: foul
+        };
+        if (outcome.message) {
+            this.showGameMessage(outcome.message);
+        }
+        
+        if (this.rules.isFrameOver()) {
+            this.endFrame();
+        } else if (this.frameManager.isRespottedBlack() && !wasRespottedBlack) {
+            this.startRespottedBlack();
+        } else if (foul && foul.miss) {
+            this.offerMissDecision();
+        } else if (outcome.ballInHand) {
+            this.giveBallInHand();
+        } else if (foul) {
+            this.checkFreeBall();
+        }
+    }
+    
+    // Add the shot to the player's long-term stats - the break goes in once the visit or frame is over
+    recordPlayerStats(playerIndex, breakBefore, shot, foul) {
+        let playerName = this.frameManager.getPlayers()[playerIndex].name;
+        let currentBreak = this.frameManager.getCurrentBreak();
+        this.playerStats.completeShot(playerName, shot, foul);
+        
+        // A finished break is reset to 0 - except the winning pot, which leaves it standing
+        if (this.rules.isFrameOver() || this.frameManager.getCurrentPlayerIndex() !== playerIndex || currentBreak < breakBefore) {
+            this.playerStats.recordBreak(playerName, Math.max(breakBefore, currentBreak));
+        }
+    }
+    
+    // Judge a practice shot against the drill and set the drill up again once the attempt is over
+    completePracticeShot(shot) {
+        let outcome = this.practiceDrills.completeShot(shot, this.ballManager, this.rules);
+        this.frameLog.finishShot(shot.firstContact, { foul: null, message: outcome.message });
+        this.showGameMessage(outcome.message);
+        if (outcome.attemptOver) {
+            this.setUpDrill();
+        }
+    }
+    
+    // Switch to the next practice drill, or back to a normal frame after the last one
+    cyclePracticeDrill() {
+        let drill = this.practiceDrills.cycleDrill();
+        this.setDisplayMode(1, "snooker");// Drills use the snooker balls - also stops the drill
+        if (drill) {
+            this.practiceDrills.start(drill);
+            this.setUpDrill();
+            this.showGameMessage(`Practice: ${this.practiceDrills.getDrillName()}`);
+        } else {
+            this.showGameMessage("Practice off - new frame");
+        }
+    }
+    
+    // Lay out the current drill for a new attempt
+    setUpDrill() {
+        this.practiceDrills.setUp(this.ballManager);
+        this.cueBallPlaced = this.ballManager.isCueBallPlaced();
+        this.gameState = this.cueBallPlaced ? "AIMING" : "PLACE_CUE_BALL";
+        if (this.cueBallPlaced) {
+            this.cue.show();
+        } else {
+            this.cue.hide();
+        }
+        this.ballPrediction.hide();
+    }
+    
+    // Take the cue ball off the table for the incoming player to place
+    giveBallInHand() {
+        this.ballManager.getCueBall().removePhysicsBody();
+        this.cueBallPlaced = false;
+        this.gameState = "PLACE_CUE_BALL";
+        this.cue.hide();
+        this.ballPrediction.hide();
+    }
+    
+    // Foul and miss - let the offended player choose to play on or have the balls put back
+    offerMissDecision() {
+        console.log("FOUL AND MISS - waiting for decision");
+        this.gameState = "MISS_DECISION";
+        this.cue.hide();
+        this.ballPrediction.hide();
+    }
+    
+    // Offended player plays from the current position
+    playFromHere() {
+        console.log(`${this.frameManager.getCurrentPlayer().name} plays from here`);
+        this.gameState = this.cueBallPlaced ? "AIMING" : "PLACE_CUE_BALL";
+        this.checkFreeBall();
+    }
+    
+    // Put every ball back where it was before the shot - the offender plays again
+    putBallsBack() {
+        this.ballManager.restoreSnapshot(this.preShotSnapshot.balls);
+        this.frameManager.restoreState(this.preShotSnapshot.frame);
+        
+        this.cueBallPlaced = this.ballManager.isCueBallPlaced();
+        this.gameState = this.cueBallPlaced ? "AIMING" : "PLACE_CUE_BALL";
+        if (this.cueBallPlaced) {
+            this.cue.show();
+        }
+        this.showGameMessage(`Balls replaced - ${this.frameManager.getCurrentPlayer().name} to play again`);
+    }
+    
+    // Offer a free ball when a foul leaves the incoming player snookered
+    checkFreeBall() {
+        if (this.isPlayerSnookered()) {
+            console.log("SNOOKERED after foul - free ball awarded");
+            this.gameState = "NOMINATE_FREE_BALL";
+            this.cue.hide();
+            this.ballPrediction.hide();
+            this.showGameMessage(`FREE BALL - ${this.frameManager.getCurrentPlayer().name} click a ball to nominate it`);
+        }
+    }
+    
+    // Nominate the clicked ball as the free ball and return to aiming
+    nominateFreeBall(x, y) {
+        let ball = this.ballManager.getBallAt(x, y);
+        if (!ball) {
+            console.log("Invalid nomination - Click on an object ball");
+            return;
+        }
+        
+        this.frameManager.nominateFreeBall(ball);
+        this.showGameMessage("Free ball nominated: " + this.foulDetector.getBallName(ball));
+        this.gameState = "AIMING";
+        this.cue.show();
+    }
+    
+    // Check if play is paused waiting for a player decision
+    isAwaitingDecision() {
+        return this.gameState === "FRAME_OVER" || 
+               this.gameState === "NOMINATE_FREE_BALL" || 
+               this.gameState === "MISS_DECISION";
+    }
+    
+    // Level scores - re-spot the black and give the starting player ball in hand
+    startRespottedBlack() {
+        let black = this.ballManager.getColoredBalls().find(ball => ball.id === 'black');
+        black.reset();
+        this.ballManager.respotColoredBall(black, this.table);
+        
+        this.ballManager.getCueBall().removePhysicsBody();
+        this.cueBallPlaced = false;
+        this.gameState = "PLACE_CUE_BALL";
+        this.cue.hide();
+        this.ballPrediction.hide();
+        this.showGameMessage(`Scores level - RE-SPOTTED BLACK. ${this.frameManager.getCurrentPlayer().name} to play from the D`);
+    }
+    
+    // Finish the frame and announce the result
+    endFrame() {
+        this.gameState = "FRAME_OVER";
+        this.cue.hide();
+        this.ballPrediction.hide();
+        
+        let players = this.frameManager.getPlayers();
+        let result = players[0].score + "-" + players[1].score;
+        this.showGameMessage(`${this.frameManager.getWinner().name} wins the frame ${result}`);
+    }
+    
     // Handle cue visibility based on game state
     handleCueVisibility() {
-        if (this.cueBallPlaced && 
+        if (!this.isAwaitingDecision() &&
+            this.cueBallPlaced && 
             this.ballManager.getCueBall().body && 
             !this.cue.isVisible() && 
             !this.ballManager.areBallsMoving()) {
@@ -157,30 +616,100 @@ class GameManager {
     
     // Handles mouse press events
     handleMousePressed() { // Handle mouse press events
-        if (this.gameState === "PLACE_CUE_BALL") {
-            if (this.table.isInDZone(mouseX, mouseY)) {       // Check if click is in D zone
-                if (this.ballManager.placeCueBall(mouseX, mouseY, this.table)) {
-                    console.log("CUE BALL PLACED in D-zone at position:", mouseX.toFixed(1), mouseY.toFixed(1));
-                    this.cueBallPlaced = true;
-                    this.gameState = "AIMING";
-                    this.cue.show();
-            }
-        } else {
-            console.log("Invalid placement - Cue ball must be placed in D-zone");
-            }
+        if (this.playerStats.isVisible()) {
+            return;// Stats screen covers the table
+        } else if (this.positionEditor.isActive()) {
+            this.positionEditor.pickUp(mouseX, mouseY, this.ballManager);
+        } else if (this.shotReplay.isActive()) {
+            this.shotReplay.scrubTo(mouseX, mouseY);
+        } else if (this.isComputerTurn()) {
+            return;// Computer is at the table
+        } else if (this.gameState === "PLACE_CUE_BALL") {
+            this.placeCueBall(mouseX, mouseY);
+        } else if (this.gameState === "NOMINATE_FREE_BALL") {
+            this.nominateFreeBall(mouseX, mouseY);
+        } else if (this.cue.isVisible() && this.cue.selectTipOffset(mouseX, mouseY)) {
+            console.log("SPIN SELECTED:", this.cue.getSpinDescription());
+        }
+    }
+    
+    // Place cue ball where the rule set allows (the D in snooker) and start aiming
+    placeCueBall(x, y) {
+        if (this.ballManager.placeCueBall(x, y, this.table)) {
+            console.log("CUE BALL PLACED at position:", x.toFixed(1), y.toFixed(1));
+            this.cueBallPlaced = true;
+            this.gameState = "AIMING";
+            this.cue.show();
+            return true;
+        }
+        console.log("Invalid placement - " + this.rules.getPlacementInstruction());
+        return false;
+    }
+    
+    // Handle mouse drag events - used for the replay scrub bar
+    handleMouseDragged() {
+        if (this.shotReplay.isActive()) {
+            this.shotReplay.scrubTo(mouseX, mouseY);
+        } else if (this.cue.isVisible()) {
+            this.cue.selectTipOffset(mouseX, mouseY);// Drag the tip around the spin selector
+        }
+    }
+    
+    // Handle mouse release events - drops a ball held in the editor
+    handleMouseReleased() {
+        if (!this.positionEditor.isActive()) return;
+        
+        let ball = this.positionEditor.getHeldBall();
+        let result = this.positionEditor.drop(mouseX, mouseY, this.ballManager);
+        if (result === 'removed') {
+            this.showGameMessage(`${this.rules.getBallName(ball)} removed`);
+        } else if (result === 'invalid') {
+            this.showGameMessage(`${this.rules.getBallName(ball)} cannot go there - keep it on the cloth, clear of other balls, pockets and the D`);
         }
     }
     
     // Handle key press events
     handleKeyPressed() { 
+        if (this.playerStats.isVisible()) {
+            this.handleStatsKeyPressed();
+            return;
+        }
+        if (this.positionEditor.isActive()) {
+            this.handleEditorKeyPressed();
+            return;
+        }
+        if (this.shotReplay.isActive()) {
+            this.handleReplayKeyPressed();
+            return;
+        }
+        
+        // Raise or lower the cue for swerve and masse shots while aiming
+        if (this.cue.isVisible() && !this.cue.isCharging() && !this.isComputerTurn()) {
+            if (keyCode === UP_ARROW) {
+                this.cue.adjustElevation(this.cue.elevationStep);
+            } else if (keyCode === DOWN_ARROW) {
+                this.cue.adjustElevation(-this.cue.elevationStep);
+            }
+        }
+        
         switch(key) {
             case '1': this.setDisplayMode(1); break;// Starting positions
             case '2': this.setDisplayMode(2); break;// Random red positions
             case '3': this.setDisplayMode(3); break;// Random all positions
+            case '4': // Edited layout
+                if (this.editedLayout) {
+                    this.setDisplayMode(4, this.editedLayout.gameType);
+                } else {
+                    this.showGameMessage("No edited layout yet - press 'E' to make one");
+                }
+                break;
+            case 'e': case 'E': this.startEditing(); break;// Move balls by hand
+            case 'g': case 'G': this.setDisplayMode(this.displayMode, this.getNextGameType()); break;// Next game type
                 
             case ' ': // Spacebar for cue power - only when balls not moving
                 if (this.gameState === "AIMING" && 
                     this.cueBallPlaced && 
+                    !this.isComputerTurn() &&
                     !this.ballManager.areBallsMoving()) {
                     console.log("CHARGING CUE POWER...");
                     this.cue.startCharging();
@@ -199,6 +728,28 @@ class GameManager {
                 }
                 break;
                 
+            case 'f': case 'F': // Foul and miss - play from here
+                if (this.gameState === "MISS_DECISION" && !this.isComputerTurn()) {
+                    this.playFromHere();
+                }
+                break;
+                
+            case 'b': case 'B': // Foul and miss - put balls back
+                if (this.gameState === "MISS_DECISION" && !this.isComputerTurn()) {
+                    this.putBallsBack();
+                }
+                break;
+                
+            case 'r': case 'R': // Replay last shot
+                if (!this.currentShot && this.gameState !== "READY_TO_SHOOT") {
+                    if (this.shotReplay.start()) {
+                        console.log("REPLAY: Showing last shot");
+                    } else {
+                        this.showGameMessage("No shot to replay yet");
+                    }
+                }
+                break;
+                
             case 'o': case 'O': // Toggle dynamic obstacles
                 this.dynamicObstacles.toggle();
                 if (this.dynamicObstacles.isEnabled()) {
@@ -209,52 +760,352 @@ class GameManager {
                     this.showGameMessage("Dynamic obstacles disabled");
                 }
                 break;
+                
+            case 'h': case 'H': // Toggle shot hints
+                this.shotHints.toggle();
+                if (this.shotHints.enabled) {
+                    console.log("SHOT HINTS ENABLED");
+                    this.showGameMessage("Shot hints enabled");
+                } else {
+                    console.log("SHOT HINTS DISABLED");
+                    this.showGameMessage("Shot hints disabled");
+                }
+                break;
+                
+            case 's': case 'S': this.saveGame(); break;// Save to the current slot
+            case 'l': case 'L': this.loadGame(); break;// Load from the current slot
+            case 'n': case 'N': // Next save slot
+                this.saveManager.nextSlot();
+                this.showGameMessage(`Save slot ${this.saveManager.getCurrentSlot()}` +
+                                     (this.saveManager.hasSave() ? "" : " (empty)"));
+                break;
+            case 'd': case 'D': // Download the game as a JSON file
+                if (this.canSave()) {
+                    this.saveManager.download(this.getSaveData());
+                } else {
+                    this.showGameMessage("Wait for the balls to stop before saving");
+                }
+                break;
+            case 'u': case 'U': this.saveManager.upload(data => this.loadUploadedGame(data)); break;// Load a JSON file
+                
+            case 'j': case 'J': this.exportFrameLog("JSON"); break;// Download this frame's shots as JSON
+            case 'v': case 'V': this.exportFrameLog("CSV"); break;// Download this frame's shots as CSV
+                
+            case 'm': case 'M': // Practice drills - off, each drill, then off
+                if (!this.currentShot && this.gameState !== "READY_TO_SHOOT") {
+                    this.cyclePracticeDrill();
+                }
+                break;
+                
+            case 't': case 'T': // Player statistics screen
+                if (!this.currentShot && this.gameState !== "READY_TO_SHOOT") {
+                    this.playerStats.show();
+                }
+                break;
+                
+            case 'k': case 'K': this.promptForSeed(); break;// Replay or change the random seed
+                
+            case 'c': case 'C': // Computer opponent - off, easy, medium, hard
+                if (!this.currentShot) {
+                    this.aiPlayer.cycleLevel();
+                    this.showGameMessage("Computer opponent: " + this.aiPlayer.getLevelName());
+                }
+                break;
         }
     }
     
+    // Handle key presses while a replay is shown
+    handleReplayKeyPressed() {
+        if (keyCode === LEFT_ARROW) {
+            this.shotReplay.step(-1);
+        } else if (keyCode === RIGHT_ARROW) {
+            this.shotReplay.step(1);
+        }
+        
+        switch(key) {
+            case ' ': this.shotReplay.togglePause(); break;// Pause or resume
+            case '1': this.shotReplay.setSpeed('slow'); break;// Slow motion
+            case '2': this.shotReplay.setSpeed('normal'); break;// Normal speed
+            case '3': this.shotReplay.setSpeed('fast'); break;// Fast forward
+            case 'r': case 'R': // Back to the live table
+                this.shotReplay.stop();
+                console.log("REPLAY: Closed");
+                break;
+        }
+    }
+    
+    // Handle key press events while the stats screen is open
+    handleStatsKeyPressed() {
+        if (keyCode === ESCAPE || key === 't' || key === 'T') {
+            this.playerStats.hide();
+        } else if ((key === 'x' || key === 'X') && confirm("Clear every player's statistics? This cannot be undone.")) {
+            this.playerStats.clear();
+        }
+    }
+    
+    // Handle key press events while the position editor is open
+    handleEditorKeyPressed() {
+        if (keyCode === ESCAPE) {
+            this.positionEditor.cancel(this.ballManager);
+            this.showGameMessage("Editing cancelled");
+        } else if (key === 'e' || key === 'E') {
+            this.finishEditing();
+        }
+    }
+    
+    // Open the position editor once the balls are at rest
+    startEditing() {
+        if (this.currentShot || this.gameState === "READY_TO_SHOOT" || this.ballManager.areBallsMoving()) {
+            this.showGameMessage("Wait for the balls to stop before editing");
+            return;
+        }
+        this.cue.hide();
+        this.ballPrediction.hide();
+        this.aiPlayer.reset();
+        this.positionEditor.start(this.ballManager);
+    }
+    
+    // Close the editor and start a new frame from the edited layout
+    finishEditing() {
+        if (this.ballManager.getBallsOnTable().length === 0) {
+            this.showGameMessage("Put at least one ball on the table to play from this layout");
+            return;
+        }
+        this.positionEditor.stop(this.ballManager);
+        let layout = this.ballManager.getSaveData();
+        layout.lastPottedBallType = "";// Nothing potted yet in the new frame
+        layout.consecutiveColoredBalls = 0;
+        this.editedLayout = { gameType: this.gameType, balls: layout };
+        this.setDisplayMode(4);
+        this.showGameMessage("Playing from the edited layout - press '4' to start from it again");
+    }
+    
     // Handle key release events
     handleKeyReleased() {
         if (key === ' ' && 
             this.gameState === "READY_TO_SHOOT" && 
             !this.ballManager.areBallsMoving()) {
             // Release cue - shoot cue ball
-            let power = this.cue.stopCharging();
-            console.log(`SHOOTING cue ball with power: ${power.toFixed(1)}%`);
-            this.cue.shoot(this.ballManager.getCueBall(), power);
-            this.gameState = "BALL_MOVING"; // Set to moving state immediately
-            this.ballPrediction.hide(); // Hide prediction during ball movement
+            this.takeShot(this.cue.stopCharging());
         }
     }
     
-    // Set display mode and reposition balls
-    setDisplayMode(mode) { 
-        console.log(`=== SWITCHING TO MODE ${mode} ===`);
+    // Shoot the cue ball along the current cue angle and start tracking the shot
+    takeShot(power) {
+        console.log(`SHOOTING cue ball with power: ${power.toFixed(1)}%`);
+        this.cue.shoot(this.ballManager.getCueBall(), power);
+        this.startShot(power);
+        this.gameState = "BALL_MOVING"; // Set to moving state immediately
+        this.ballPrediction.hide(); // Hide prediction during ball movement
+    }
+    
+    // Set display mode and game type, then rack the balls for a new frame
+    setDisplayMode(mode, gameType = this.gameType) { 
+        if (!this.ruleSets[gameType]) {
+            console.log(`Unknown game type: ${gameType}`);
+            return;
+        }
+        console.log(`=== SWITCHING TO MODE ${mode} (${this.ruleSets[gameType].getName()}) ===`);
         this.displayMode = mode;
         
         // Reset all game state when changing modes
         this.ballManager.resetPhysicsBalls();
+        this.gameType = gameType;
+        this.rules = this.ruleSets[gameType];
+        this.rules.reset();
+        this.ballManager.setRuleSet(this.rules);
+        this.ballManager.initializeBalls();// Bring back potted balls for a new frame
         this.cueBallPlaced = false;
         this.gameState = "PLACE_CUE_BALL";
         this.cue.hide();
         this.cue.reset();
         this.ballPrediction.hide(); 
+        this.frameManager.reset();
+        this.currentShot = null;
+        this.preShotSnapshot = null;
+        this.aiPlayer.reset();
+        this.frameLog.clear();// New frame, new log
+        this.practiceDrills.stop();
         
-        switch(mode) {
-            case 1: // Starting positions
-                console.log("Mode 1: All balls in starting positions");
-                this.ballManager.positionBallsStarting(this.table);
-                break;
-            case 2: // Random red positions only
-                console.log("Mode 2: Random red ball positions, colored balls on spots");
-                this.ballManager.positionBallsRandom(this.table, false);
-                break;
-            case 3: // Random all positions
-                console.log("Mode 3: All balls in random positions");
-                this.ballManager.positionBallsRandom(this.table, true);
-                break;
+        // Mode 4 puts the balls where the editor left them - other game types have other balls
+        if (mode === 4 && this.editedLayout && this.editedLayout.gameType === gameType) {
+            this.ballManager.loadSaveData(this.editedLayout.balls);
+            this.rules.startFromLayout(this.ballManager);// Ball on follows what is left on the table
+            this.cueBallPlaced = this.ballManager.isCueBallPlaced();
+        } else {
+            if (mode === 4) this.displayMode = mode = 1;// No layout for this game - start from the rack
+            this.rules.rackBalls(this.ballManager, this.table, mode);
         }
     }
     
+    // Everything needed to carry on this game later, as plain data that can be written as JSON
+    getSaveData() {
+        let preShot = this.preShotSnapshot;
+        return {
+            version: 1,
+            savedAt: new Date().toISOString(),
+            random: { seed: this.rng.getSeed(), state: this.rng.getState() },
+            gameType: this.gameType,
+            displayMode: this.displayMode,
+            gameState: this.gameState,
+            balls: this.ballManager.getSaveData(),
+            frame: this.frameManager.getSaveData(),
+            rules: this.rules.getSaveData(),
+            obstacles: this.dynamicObstacles.getSaveData(),
+            // Ball positions before the last shot - needed to put the balls back after a foul and a miss
+            preShot: preShot ? {
+                balls: this.ballManager.getSaveData(preShot.balls),
+                frame: {
+                    currentPlayerIndex: preShot.frame.currentPlayerIndex,
+                    ballOn: preShot.frame.ballOn,
+                    freeBall: preShot.frame.freeBall ? preShot.frame.freeBall.id : null
+                }
+            } : null
+        };
+    }
+    
+    // Rebuild the game from saved data - returns false if the data is not a saved game
+    // Anything the checks miss that fails part way through puts the previous game back
+    loadSaveData(data) {
+        if (!this.isValidSaveData(data)) {
+            console.log("Invalid save data");
+            return false;
+        }
+        
+        let previousGame = this.getSaveData();
+        try {
+            this.restoreSaveData(data);
+            this.rules.getBallOnText(this.ballManager);// Scoreboard reads - a bad value fails here, not in draw
+            this.rules.getInfoLines(this.ballManager);
+        } catch (error) {
+            console.log("Save data could not be loaded:", error.message);
+            this.restoreSaveData(previousGame);
+            return false;
+        }
+        console.log(`GAME LOADED: ${this.rules.getName()} saved ${data.savedAt}`);
+        return true;
+    }
+    
+    // Check every part of a saved game before anything on the table is changed
+    // The frame and the rule set check their own sections
+    isValidSaveData(data) {
+        let isObject = value => value !== null && typeof value === 'object';
+        let preShot = data && data.preShot;
+        let gameStates = ["PLACE_CUE_BALL", "AIMING", "READY_TO_SHOOT", "BALL_MOVING", "NOMINATE_FREE_BALL", "MISS_DECISION", "FRAME_OVER"];
+        return isObject(data) && data.version === 1 &&
+               this.ruleSets.hasOwnProperty(data.gameType) &&
+               [0, 1, 2, 3, 4].includes(data.displayMode) &&
+               gameStates.includes(data.gameState) &&
+               isObject(data.random) && Number.isFinite(data.random.seed) && Number.isFinite(data.random.state) &&
+               this.isValidBallData(data.balls) &&
+               this.frameManager.isValidSaveData(data.frame) &&
+               isObject(data.rules) && this.ruleSets[data.gameType].isValidSaveData(data.rules) &&
+               isObject(data.obstacles) && Array.isArray(data.obstacles.obstacles) &&
+               (!preShot || (this.isValidBallData(preShot.balls) && this.isValidPreShotFrame(preShot.frame)));
+    }
+    
+    // Check the turn and ball on saved with the balls before the last shot
+    isValidPreShotFrame(frame) {
+        return frame !== null && typeof frame === 'object' &&
+               (frame.currentPlayerIndex === 0 || frame.currentPlayerIndex === 1) &&
+               this.frameManager.isValidBallOn(frame.ballOn) &&
+               (frame.freeBall === null || typeof frame.freeBall === 'string');
+    }
+    
+    // Check saved balls have an id and a position each
+    isValidBallData(balls) {
+        return balls !== null && typeof balls === 'object' &&
+               Array.isArray(balls.balls) && Array.isArray(balls.pottedReds) &&
+               balls.balls.every(ball => ball !== null && typeof ball.id === 'string' && Number.isFinite(ball.x) && Number.isFinite(ball.y));
+    }
+    
+    // Put every part of a checked saved game back on the table
+    restoreSaveData(data) {
+        this.setDisplayMode(data.displayMode, data.gameType);// New frame with this game's balls
+        this.ballManager.loadSaveData(data.balls);
+        let balls = this.ballManager.getBallsOnTable();
+        this.frameManager.loadSaveData(data.frame, balls);
+        this.rules.loadSaveData(data.rules);
+        this.dynamicObstacles.loadSaveData(data.obstacles);
+        
+        if (data.preShot) {
+            let snapshot = this.ballManager.buildSnapshot(data.preShot.balls);
+            let freeBall = snapshot.redBalls.concat(snapshot.coloredBalls)
+                .find(entry => entry.ball.id === data.preShot.frame.freeBall);
+            this.preShotSnapshot = {
+                balls: snapshot,
+                frame: {
+                    currentPlayerIndex: data.preShot.frame.currentPlayerIndex,
+                    ballOn: data.preShot.frame.ballOn,
+                    freeBall: freeBall ? freeBall.ball : null
+                }
+            };
+        }
+        
+        this.cueBallPlaced = this.ballManager.isCueBallPlaced();
+        this.gameState = data.gameState;
+        this.rng.restoreState(data.random.seed, data.random.state);
+    }
+    
+    // Save the game to the current slot
+    saveGame() {
+        if (!this.canSave()) {
+            this.showGameMessage("Wait for the balls to stop before saving");
+        } else if (this.saveManager.saveToSlot(this.getSaveData())) {
+            this.showGameMessage(`Game saved to slot ${this.saveManager.getCurrentSlot()}`);
+        } else {
+            this.showGameMessage("Could not save - browser storage is unavailable");
+        }
+    }
+    
+    // Load the game in the current slot
+    loadGame() {
+        let data = this.saveManager.loadFromSlot();
+        if (!data) {
+            this.showGameMessage(`Slot ${this.saveManager.getCurrentSlot()} is empty`);
+        } else if (this.loadSaveData(data)) {
+            this.showGameMessage(`Game loaded from slot ${this.saveManager.getCurrentSlot()}`);
+        } else {
+            this.showGameMessage(`Slot ${this.saveManager.getCurrentSlot()} does not hold a saved game`);
+        }
+    }
+    
+    // Load a game from an uploaded JSON file
+    loadUploadedGame(data) {
+        if (this.loadSaveData(data)) {
+            this.showGameMessage("Game loaded from file");
+        } else {
+            this.showGameMessage("That file is not a saved game");
+        }
+    }
+    
+    // Download the frame log in a format - JSON or CSV
+    exportFrameLog(format) {
+        if (this.frameLog.getShotCount() === 0) {
+            this.showGameMessage("No shots logged in this frame yet");
+            return;
+        }
+        if (format === "JSON") {
+            this.frameLog.exportJSON();
+        } else {
+            this.frameLog.exportCSV();
+        }
+        this.showGameMessage(`Frame log exported as ${format} (${this.frameLog.getShotCount()} shots)`);
+    }
+    
+    // Check if the table is at rest so it can be saved
+    canSave() {
+        return !this.currentShot && 
+               this.gameState !== "READY_TO_SHOOT" && 
+               !this.ballManager.areBallsMoving();
+    }
+    
+    // Game type after the current one, in the order the rule sets were added
+    getNextGameType() {
+        let gameTypes = this.getGameTypes();
+        return gameTypes[(gameTypes.indexOf(this.gameType) + 1) % gameTypes.length];
+    }
+    
     // Show a game message for specified duration
     showGameMessage(message) {
         this.gameMessage = message;
@@ -283,8 +1134,9 @@ class GameManager {
         
         let infoY = height - 180; 
         text("Game State: " + this.gameState, 20, infoY);
-        text("Red balls remaining: " + this.ballManager.getRedBallCount(), 20, infoY + 20);
-        text("Consecutive colored balls: " + this.ballManager.getConsecutiveColoredBalls(), 20, infoY + 40);
+        let infoLines = this.rules.getInfoLines(this.ballManager);
+        text(infoLines[0], 20, infoY + 20);
+        text(infoLines[1], 20, infoY + 40);
         text("Balls moving: " + (this.ballManager.areBallsMoving() ? "YES" : "NO"), 20, infoY + 60);
         text("Ball prediction: " + (this.ballPrediction.enabled ? "ON" : "OFF"), 20, infoY + 80);
         if (this.ballPrediction.isVisible()) {
@@ -295,15 +1147,127 @@ class GameManager {
             text("Active obstacles: " + this.dynamicObstacles.getObstacleCount(), 20, infoY + 140);
         }
         // Current instruction based on game state
-        if (!this.cueBallPlaced) {
-            text("Click in the highlighted D zone to place cue ball", 20, infoY + 160);
+        if (this.gameState === "FRAME_OVER") {
+            text("Frame over - press 1, 2 or 3 to start a new frame or G to change game", 20, infoY + 160);
+        } else if (this.isComputerTurn() && this.gameState !== "BALL_MOVING") {
+            text(this.aiPlayer.isAiming() ? "Computer is aiming..." : "Computer is thinking...", 20, infoY + 160);
+        } else if (this.gameState === "NOMINATE_FREE_BALL") {
+            text("Free ball - click any ball to nominate it as the ball on", 20, infoY + 160);
+        } else if (this.gameState === "MISS_DECISION") {
+            text("Foul and miss - press F to play from here or B to put the balls back", 20, infoY + 160);
+        } else if (!this.cueBallPlaced) {
+            text(this.rules.getPlacementInstruction(), 20, infoY + 160);
         } else if (this.gameState === "AIMING") {
-            text("Move mouse to aim, hold SPACE to charge power", 20, infoY + 160);
+            text("Move mouse to aim, click the SPIN ball to set spin, UP/DOWN to raise the cue, hold SPACE to charge power", 20, infoY + 160);
         } else if (this.gameState === "READY_TO_SHOOT") {
             text("Release SPACE to shoot!", 20, infoY + 160);
         } else if (this.gameState === "BALL_MOVING") {
             text("Wait for balls to stop moving...", 20, infoY + 160);
         }
+        
+        this.drawScoreboard();
+    }
+    
+    // Draw foul and miss prompt with both options
+    drawMissPrompt() {
+        if (this.gameState !== "MISS_DECISION") return;
+        
+        fill(0, 0, 0, 200);
+        stroke(255, 100, 100);
+        strokeWeight(2);
+        rect(width/2 - 200, height/2 - 60, 400, 120, 8);
+        
+        noStroke();
+        fill(255, 100, 100);
+        textAlign(CENTER);
+        textSize(22);
+        text("FOUL AND MISS", width/2, height/2 - 25);
+        
+        fill(255);
+        textSize(16);
+        text(this.frameManager.getCurrentPlayer().name + ", choose:", width/2, height/2 + 5);
+        text("[F] Play from here      [B] Put balls back", width/2, height/2 + 35);
+    }
+    
+    // Draw a ring around the nominated free ball
+    drawFreeBallHighlight() {
+        let freeBall = this.frameManager.getFreeBall();
+        if (!freeBall || !freeBall.body) return;
+        
+        let position = freeBall.getPosition();
+        noFill();
+        stroke(0, 255, 255);
+        strokeWeight(2);
+        circle(position.x, position.y, freeBall.diameter + 8);
+    }
+    
+    // Draw scoreboard with both players, current break and whose turn it is
+    drawScoreboard() {
+        let boardX = width - 240;
+        let boardY = height - 170;
+        let players = this.frameManager.getPlayers();
+        
+        // Scoreboard panel
+        fill(0, 0, 0, 150);
+        stroke(255);
+        strokeWeight(1);
+        rect(boardX, boardY, 220, 150, 5);
+        noStroke();
+        
+        textAlign(LEFT);
+        textSize(16);
+        players.forEach((player, index) => {
+            let rowY = boardY + 25 + index * 25;
+            let isTurn = index === this.frameManager.getCurrentPlayerIndex();
+            
+            if (isTurn) {
+                fill(255, 255, 0); // Highlight player at the table
+                text(">", boardX + 10, rowY);
+            } else {
+                fill(255);
+            }
+            text(player.name, boardX + 25, rowY);
+            textAlign(RIGHT);
+            text(player.score, boardX + 205, rowY);
+            textAlign(LEFT);
+        });
+        
+        fill(255);
+        textSize(14);
+        text("Break: " + this.frameManager.getCurrentBreak(), boardX + 25, boardY + 80);
+        text("Ball on: " + this.rules.getBallOnText(this.ballManager), boardX + 25, boardY + 100);
+        text(this.frameManager.getCurrentPlayer().name + " to play", boardX + 25, boardY + 120);
+        
+        // Points left and any warning from the rule set (snookers needed in snooker)
+        let notes = this.rules.getScoreboardNotes(this.ballManager);
+        if (notes.remaining) {
+            textAlign(RIGHT);
+            text(notes.remaining, boardX + 205, boardY + 80);
+            textAlign(LEFT);
+        }
+        if (notes.warning) {
+            fill(255, 150, 0);
+            text(notes.warning, boardX + 25, boardY + 140);
+        }
+        
+        this.drawSnookeredBadge(boardX, boardY - 40);
+    }
+    
+    // Draw SNOOKERED badge when the player at the table cannot see a ball on
+    drawSnookeredBadge(badgeX, badgeY) {
+        if (!this.snookered) return;
+        
+        fill(200, 0, 0);
+        stroke(255);
+        strokeWeight(2);
+        rect(badgeX, badgeY, 220, 30, 5);
+        
+        noStroke();
+        fill(255);
+        textAlign(CENTER);
+        textSize(18);
+        text("SNOOKERED", badgeX + 110, badgeY + 21);
+        textAlign(LEFT);
     }
     
     // Draw instructions and current mode 
@@ -312,20 +1276,30 @@ class GameManager {
         textSize(16);
         textAlign(LEFT);
 
-        text("Press '1' - Starting positions", 20, 50);
-        text("Press '2' - Random red positions", 20, 70);
-        text("Press '3' - Random all positions", 20, 90);
+        text("Press '1' - " + this.rules.getModeName(1), 20, 50);
+        text("Press '2' - " + this.rules.getModeName(2), 20, 70);
+        text("Press '3' - " + this.rules.getModeName(3), 20, 90);
         text("Press 'P' - Toggle ball trail prediction", 20, 110); 
         text("Press 'O' - Toggle dynamic obstacles", 20, 130); 
+        text("Press 'R' - Replay last shot", 20, 150);
+        text("Press 'G' - Change game: " + this.rules.getName(), 20, 170);
+        text("Press 'C' - Computer opponent: " + this.aiPlayer.getLevelName(), 20, 190);
+        text("Press 'H' - Toggle shot hints", 20, 210);
+        text(`Press 'S'/'L' - Save/load slot ${this.saveManager.getCurrentSlot()} ('N' next slot, 'D' download, 'U' upload)`, 20, 230);
         // Current mode display
         let modeText = "";
         switch(this.displayMode) {
             case 0: modeText = "No balls displayed"; break;
-            case 1: modeText = "Starting positions"; break;
-            case 2: modeText = "Random red positions"; break;
-            case 3: modeText = "Random all positions"; break;
+            case 1:
+            case 2:
+            case 3: modeText = this.rules.getModeName(this.displayMode); break;
+            case 4: modeText = "Edited layout"; break;
         }
-        text("Current mode: " + modeText, 20, 170); 
+        text(`Press 'J'/'V' - Export frame log as JSON/CSV (${this.frameLog.getShotCount()} shots)`, 20, 250);
+        text("Press 'E' - Edit ball positions ('4' starts from the edited layout)", 20, 270);
+        text("Press 'M' - Practice drill: " + this.practiceDrills.getDrillName(), 20, 290);
+        text("Press 'T' - Player statistics", 20, 310);
+        text("Current mode: " + modeText, 20, 330); 
         
         // Status indicators
         let statusY = 110;
@@ -337,6 +1311,13 @@ class GameManager {
             fill(255, 100, 100); 
             text(" Dynamic Obstacles: ENABLED", 350, statusY + 20);
         }
+        if (this.shotHints.enabled) {
+            fill(0, 255, 0);
+            text(" Shot Hints: ENABLED", 350, statusY + 40);
+        }
+        fill(200);
+        textSize(12);
+        text("Seed: " + this.rng.getSeed() + " - press 'K' to replay or change it", 20, 350);
         fill(255); // Reset to white
     }
     
@@ -357,8 +1338,26 @@ class GameManager {
     getTable() { return this.table; }// Get table object
     getBallManager() { return this.ballManager; }// Get ball manager object
     getCue() { return this.cue; }// Get cue object
+    getBallPhysics() { return this.ballPhysics; }// Get spin and friction model
     getBallPrediction() { return this.ballPrediction; }// Get prediction object
+    getShotSimulator() { return this.shotSimulator; }// Get throwaway physics simulator
     getDynamicObstacles() { return this.dynamicObstacles; }// Get obstacles object
+    getFrameManager() { return this.frameManager; }// Get frame scoring object
+    getFoulDetector() { return this.foulDetector; }// Get foul detection object
+    getRuleSet() { return this.rules; }// Get rule set for the current game
+    getGameTypes() { return Object.keys(this.ruleSets); }// Get names of every game type
+    getGameType() { return this.gameType; }// Get current game type
+    getSnookerDetector() { return this.snookerDetector; }// Get snooker detection object
+    getShotHints() { return this.shotHints; }// Get shot suggestion object
+    getShotReplay() { return this.shotReplay; }// Get shot replay object
+    getAIPlayer() { return this.aiPlayer; }// Get computer opponent
+    getSaveManager() { return this.saveManager; }// Get save slots and files
+    getFrameLog() { return this.frameLog; }// Get this frame's shot records
+    getPositionEditor() { return this.positionEditor; }// Get ball position editor
+    getPracticeDrills() { return this.practiceDrills; }// Get practice drills and session results
+    getPlayerStats() { return this.playerStats; }// Get long-term player statistics
+    getRandom() { return this.rng; }// Get seeded random generator
+    getLastShotResult() { return this.lastShotResult; }// Get outcome of the last completed shot
 
     // Reset game to initial state
     resetGame() {  
@@ -367,6 +1366,11 @@ class GameManager {
         this.ballManager.resetPhysicsBalls();
         this.cue.reset();
         this.ballPrediction.hide(); 
+        this.frameManager.reset();
+        this.currentShot = null;
+        this.preShotSnapshot = null;
+        this.aiPlayer.reset();
+        this.frameLog.clear();// New frame, new log
         this.gameMessage = "";
         this.gameMessageTimer = 0;
     }
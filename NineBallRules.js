@@ -0,0 +1,79 @@
+/**
+ * NineBallRules.js - 9-Ball Rule Set for Snooker Game
+ * This class plays 9-ball: the lowest numbered ball must be hit first on every shot
+ * and whoever pots the 9 on a legal shot wins. A 9 potted on a foul is re-spotted
+ */
+
+class NineBallRules extends PoolRules {
+    // Constructor for NineBallRules class - 9 balls in a diamond
+    constructor(frameManager, rng) {
+        super(frameManager, rng, "9-ball", [1, 2, 3, 2, 1], 9);
+    }
+
+    // Create balls 1 to 9
+    createBalls(ballColors) {
+        let balls = [];
+        for (let number = 1; number <= 9; number++) {
+            balls.push(this.createPoolBall(number));
+        }
+        return balls;
+    }
+
+    // 1 at the apex, 9 in the middle, the rest shuffled
+    getRackOrder(balls) {
+        let one = balls.find(ball => ball.number === 1);
+        let nine = balls.find(ball => ball.number === 9);
+        let others = this.shuffle(balls.filter(ball => ball !== one && ball !== nine));
+        return [one].concat(others.slice(0, 3), [nine], others.slice(3));
+    }
+
+    // Lowest numbered ball - balls potted this shot were still on the table when it was played
+    getLowestBall(ballManager, shot = null) {
+        let balls = ballManager.getBallsOnTable();
+        if (shot) balls = balls.concat(shot.pottedBalls.filter(ball => ball.number !== null));
+        return balls.reduce((lowest, ball) => !lowest || ball.number < lowest.number ? ball : lowest, null);
+    }
+
+    // Only the lowest numbered ball may be hit first
+    isBallOn(ball, shot, ballManager) {
+        return ball === this.getLowestBall(ballManager, shot);
+    }
+
+    // Balls the player at the table may hit first
+    getBallsOn(ballManager) {
+        let lowest = this.getLowestBall(ballManager);
+        return lowest ? [lowest] : [];
+    }
+
+    // Score the shot - the 9 on a legal shot wins, any other legal pot keeps the visit going
+    completeShot(shot, ballManager, table) {
+        let wasBreak = this.breakShot;
+        let player = this.frameManager.getCurrentPlayer();
+        let foul = this.judgeShot(shot, ballManager);
+        this.breakShot = false;
+
+        let potted = shot.pottedBalls.filter(ball => ball.id !== 'cue');
+        let nine = potted.find(ball => ball.number === 9);
+        if (nine && !foul) {
+            return { foul: null, message: this.awardFrame(player, `${player.name} potted the 9`), ballInHand: false };
+        }
+
+        if (foul) {
+            if (nine) this.respotBall(nine, ballManager, table);
+            return this.awardBallInHand(foul, shot, wasBreak);
+        }
+        return this.continueVisit(potted);
+    }
+
+    // Ball on: the lowest numbered ball
+    getBallOn(ballManager) {
+        let lowest = this.getLowestBall(ballManager);
+        return lowest ? lowest.id : "none";
+    }
+
+    // Ball on as a number
+    getBallOnText(ballManager) {
+        let lowest = this.getLowestBall(ballManager);
+        return lowest ? "THE " + lowest.number : "NONE";
+    }
+}
\ No newline at end of file
@@ -0,0 +1,329 @@
+/**
+ * PlayerStats.js - Long-Term Player Statistics for Snooker Game
+ * This class keeps each player's record across sessions in localStorage: pot success by
+ * distance and cut angle, breaks, fouls by type and cue ball in-offs. A shot counts as a
+ * pot attempt when the first ball hit was on and had a pot within the hint finder's cut limit.
+ * The stats screen shows both players as tables and bar charts drawn over the game
+ */
+
+class PlayerStats {
+    // Constructor for PlayerStats class - pot attempts are found with the shot hint geometry
+    // and the save manager says whether localStorage can be used
+    constructor(table, shotHints, saveManager) {
+        this.table = table;
+        this.shotHints = shotHints;
+        this.saveManager = saveManager;
+        this.storageKey = "snooker-player-stats";// localStorage key for every player's record
+        this.visible = false;// Whether the stats screen is shown
+
+        // Pot buckets - distance is cue ball to object ball as a share of the table length
+        this.distanceBands = [
+            { id: "short", name: "Short", limit: 0.25 },
+            { id: "medium", name: "Medium", limit: 0.5 },
+            { id: "long", name: "Long", limit: Infinity }
+        ];
+        this.cutBands = [15, 30, 45, 60, 75];// Upper edge of each cut angle band in degrees
+
+        // Foul reasons from the rule sets grouped into types - first match wins
+        this.foulTypes = [
+            { name: "Cue ball in-off", pattern: /in-off|Cue ball potted/ },
+            { name: "No ball hit", pattern: /No ball hit/ },
+            { name: "Wrong ball first", pattern: /first/ },
+            { name: "Wrong ball potted", pattern: /not the ball on/ },
+            { name: "Ball off table", pattern: /off the table/ }
+        ];
+
+        this.players = this.load();// Player name -> record
+        this.candidates = [];// Pots open to the shot being played, best first
+    }
+
+    // Note the pots open to the player when the cue ball is struck - positions change once it moves
+    startShot(cueBall, ballsOn) {
+        let cuePosition = cueBall.getPosition();
+        this.candidates = this.shotHints.findPots(cuePosition, ballsOn).map(pot => {
+            let position = pot.ball.getPosition();
+            return {
+                ball: pot.ball,
+                pocket: pot.pocket,
+                cutAngle: pot.cutAngle * 180 / Math.PI,
+                distance: dist(cuePosition.x, cuePosition.y, position.x, position.y)
+            };
+        });
+    }
+
+    // Add a judged shot to the player's record - pockets line up with shot.pottedBalls
+    completeShot(playerName, shot, foul) {
+        let record = this.getPlayerRecord(playerName);
+        record.shots++;
+        if (shot.pottedBalls.some(ball => ball.id === 'cue')) {
+            record.inOffs++;
+        }
+        if (foul) {
+            foul.reasons.forEach(reason => {
+                let type = this.getFoulType(reason);
+                record.fouls[type] = (record.fouls[type] || 0) + 1;
+            });
+        }
+
+        let attempt = this.findPotAttempt(shot);
+        if (attempt) {
+            let bands = [record.distance[this.getDistanceBand(attempt.pot.distance)], record.cut[this.getCutBand(attempt.pot.cutAngle)]];
+            bands.forEach(band => {
+                band.attempts++;
+                if (attempt.potted) band.pots++;
+            });
+            console.log(`STATS: ${playerName} ${attempt.potted ? "potted" : "missed"} ${attempt.pot.ball.id} - ` +
+                        `${Math.round(attempt.pot.cutAngle)}\u00B0 cut from ${Math.round(attempt.pot.distance)}`);
+        }
+        this.candidates = [];
+        this.save();
+    }
+
+    // The pot the shot went for - the pocket the first ball dropped into, or its best pot if it stayed up
+    // Returns null for safeties, fouls on the first contact and pots outside the cut limit (doubles, plants)
+    findPotAttempt(shot) {
+        let ball = shot.firstContact;
+        if (!ball) return null;
+
+        let index = shot.pottedBalls.indexOf(ball);
+        let pot = index >= 0 ?
+            this.candidates.find(candidate => candidate.ball === ball && candidate.pocket === shot.pockets[index]) :
+            this.candidates.find(candidate => candidate.ball === ball);
+        return pot ? { pot: pot, potted: index >= 0 } : null;
+    }
+
+    // Add a finished visit to the player's breaks - visits that scored nothing are not breaks
+    recordBreak(playerName, points) {
+        if (points <= 0) return;
+
+        let breaks = this.getPlayerRecord(playerName).breaks;
+        breaks.count++;
+        breaks.total += points;
+        breaks.highest = Math.max(breaks.highest, points);
+        console.log(`STATS: ${playerName} break of ${points}`);
+        this.save();
+    }
+
+    // Forget every player's record
+    clear() {
+        this.players = {};
+        this.save();
+        console.log("STATS: Cleared");
+    }
+
+    // Record for a player, created empty on their first shot
+    getPlayerRecord(playerName) {
+        if (!this.players[playerName]) {
+            this.players[playerName] = this.createPlayerRecord();
+        }
+        return this.players[playerName];
+    }
+
+    // Empty record - every band starts with no attempts
+    createPlayerRecord() {
+        let record = { shots: 0, inOffs: 0, distance: {}, cut: {}, breaks: { count: 0, total: 0, highest: 0 }, fouls: {} };
+        this.distanceBands.forEach(band => {
+            record.distance[band.id] = { attempts: 0, pots: 0 };
+        });
+        this.getCutBandNames().forEach(name => {
+            record.cut[name] = { attempts: 0, pots: 0 };
+        });
+        return record;
+    }
+
+    // Lay a stored record over an empty one - bands and counts missing from older or edited storage start at zero
+    mergeRecord(stored) {
+        let record = this.createPlayerRecord();
+        if (stored === null || typeof stored !== 'object') return record;
+
+        let copyCounts = (target, source) => {
+            if (source === null || typeof source !== 'object') return;
+            Object.keys(target).forEach(key => {
+                if (typeof target[key] === 'object') {
+                    copyCounts(target[key], source[key]);
+                } else if (Number.isFinite(source[key])) {
+                    target[key] = source[key];
+                }
+            });
+        };
+        copyCounts(record, stored);
+
+        // Foul types are only added once they happen
+        let fouls = stored.fouls || {};
+        Object.keys(fouls).filter(type => Number.isFinite(fouls[type])).forEach(type => {
+            record.fouls[type] = fouls[type];
+        });
+        return record;
+    }
+
+    // Distance band id for a cue ball to object ball distance
+    getDistanceBand(distance) {
+        return this.distanceBands.find(band => distance < band.limit * this.table.length).id;
+    }
+
+    // Cut band name for an angle in degrees - the last band takes anything thicker than its edge
+    getCutBand(cutAngle) {
+        let index = this.cutBands.findIndex(edge => cutAngle < edge);
+        return this.getCutBandNames()[index >= 0 ? index : this.cutBands.length - 1];
+    }
+
+    // Band names like "15-30" for each cut band
+    getCutBandNames() {
+        return this.cutBands.map((edge, index) => `${index > 0 ? this.cutBands[index - 1] : 0}-${edge}`);
+    }
+
+    // Foul type for a rule set's foul reason
+    getFoulType(reason) {
+        let type = this.foulTypes.find(candidate => candidate.pattern.test(reason));
+        return type ? type.name : "Other";
+    }
+
+    // Pots out of attempts across the bands as a percentage - null before any attempt
+    getSuccessRate(bands) {
+        let attempts = bands.reduce((total, band) => total + band.attempts, 0);
+        let pots = bands.reduce((total, band) => total + band.pots, 0);
+        return attempts > 0 ? pots / attempts * 100 : null;
+    }
+
+    // Percentage as text - a dash before any attempt
+    formatRate(rate) {
+        return rate === null ? "-" : `${Math.round(rate)}%`;
+    }
+
+    // Read the stored records - empty if there are none or they cannot be read
+    load() {
+        if (!this.saveManager.isStorageAvailable()) return {};
+
+        let text = localStorage.getItem(this.storageKey);
+        if (!text) return {};
+        try {
+            let players = JSON.parse(text).players || {};
+            Object.keys(players).forEach(name => {
+                players[name] = this.mergeRecord(players[name]);
+            });
+            return players;
+        } catch (error) {
+            console.log("Stored player stats are not valid JSON:", error.message);
+            return {};
+        }
+    }
+
+    // Store every record - stats stay in memory when the browser refuses them
+    save() {
+        if (!this.saveManager.isStorageAvailable()) return;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: 1, players: this.players }));
+        } catch (error) {
+            console.log("Saving player stats failed:", error.message);
+        }
+    }
+
+    // Draw the stats screen over the game - one column per player
+    draw(playerNames) {
+        if (!this.visible) return;
+
+        fill(0, 0, 0, 230);
+        noStroke();
+        rect(0, 0, width, height);
+
+        fill(255, 255, 0);
+        textAlign(CENTER);
+        textSize(22);
+        text("PLAYER STATISTICS", width / 2, 32);
+        textSize(14);
+        fill(200);
+        text("Press 'T' or ESC to close, 'X' to clear all stats", width / 2, height - 12);
+
+        playerNames.forEach((name, index) => this.drawPlayer(name, 30 + index * width / 2, 60));
+        textAlign(LEFT);
+    }
+
+    // Draw one player's tables and charts with the top left corner at x, y
+    drawPlayer(name, x, y) {
+        let record = this.players[name] || this.createPlayerRecord();
+        let breaks = record.breaks;
+        let distance = this.distanceBands.map(band => record.distance[band.id]);
+        let cut = this.getCutBandNames().map(band => record.cut[band]);
+
+        fill(255);
+        textAlign(LEFT);
+        textSize(18);
+        text(name, x, y);
+
+        // Summary and fouls side by side
+        this.drawTable("Summary", [
+            ["Shots played", record.shots],
+            ["Pot success", this.formatRate(this.getSuccessRate(distance))],
+            ["Long pot success", this.formatRate(this.getSuccessRate([record.distance.long]))],
+            ["Highest break", breaks.highest],
+            ["Average break", breaks.count > 0 ? (breaks.total / breaks.count).toFixed(1) : "-"],
+            ["Breaks", breaks.count],
+            ["Cue ball in-offs", record.inOffs]
+        ], x, y + 26, 150);
+        let fouls = this.foulTypes.map(type => type.name).concat(["Other"])
+            .map(type => [type, record.fouls[type] || 0]);
+        this.drawTable("Fouls", fouls, x + 290, y + 26, 150);
+
+        // Success rate bars
+        this.drawBarChart("Pot success by distance",
+            this.distanceBands.map((band, index) => ({ label: band.name, rate: this.getSuccessRate([distance[index]]), attempts: distance[index].attempts })),
+            x, y + 230, 220, 240);
+        this.drawBarChart("Pot success by cut angle (\u00B0)",
+            this.getCutBandNames().map((band, index) => ({ label: band, rate: this.getSuccessRate([cut[index]]), attempts: cut[index].attempts })),
+            x + 260, y + 230, 280, 240);
+    }
+
+    // Draw a titled table of label and value rows - values line up at valueOffset
+    drawTable(title, rows, x, y, valueOffset) {
+        textSize(14);
+        fill(255, 255, 0);
+        text(title, x, y);
+        fill(220);
+        rows.forEach((row, index) => {
+            text(row[0], x, y + (index + 1) * 20);
+            text(String(row[1]), x + valueOffset, y + (index + 1) * 20);
+        });
+    }
+
+    // Draw a bar per band scaled from 0 to 100% - the number of attempts sits under each label
+    drawBarChart(title, bars, x, y, chartWidth, chartHeight) {
+        let baseY = y + chartHeight - 36;
+        let plotHeight = chartHeight - 76;
+        let slot = chartWidth / bars.length;
+
+        fill(255, 255, 0);
+        textAlign(LEFT);
+        textSize(14);
+        text(title, x, y);
+
+        stroke(120);
+        strokeWeight(1);
+        line(x, baseY, x + chartWidth, baseY);
+        line(x, baseY - plotHeight, x + chartWidth, baseY - plotHeight);// 100% line
+
+        textAlign(CENTER);
+        textSize(12);
+        bars.forEach((bar, index) => {
+            let centreX = x + slot * (index + 0.5);
+            let barHeight = (bar.rate || 0) / 100 * plotHeight;
+            noStroke();
+            fill(0, 170, 80);
+            rect(centreX - slot * 0.3, baseY - barHeight, slot * 0.6, barHeight);
+            fill(255);
+            text(this.formatRate(bar.rate), centreX, baseY - barHeight - 4);
+            fill(200);
+            text(bar.label, centreX, baseY + 14);
+            text(`${bar.attempts} tries`, centreX, baseY + 28);
+        });
+        textAlign(LEFT);
+    }
+
+    // Screen visibility methods
+    show() { this.visible = true; }// Show the stats screen
+    hide() { this.visible = false; }// Hide the stats screen
+
+    // Getter methods for stats information
+    isVisible() { return this.visible; }// Check if the stats screen is shown
+    getPlayers() { return this.players; }// Get every player's record
+}
\ No newline at end of file
@@ -0,0 +1,224 @@
+/**
+ * PoolRules.js - Pool Rule Set Base Class for Snooker Game
+ * This class holds what 8-ball and 9-ball share: numbered balls racked on the foot spot,
+ * breaking from behind the baulk line, ball in hand anywhere after a foul and
+ * the basic fouls (cue ball potted, no ball hit, ball forced off the table)
+ */
+
+class PoolRules extends RuleSet {
+    // Constructor for PoolRules class - rackRows gives the balls in each row from the apex
+    // and keyBall is the number of the ball that wins the frame
+    constructor(frameManager, rng, name, rackRows, keyBall) {
+        super(frameManager, name);
+        this.rng = rng;// Seeded random generator shared with the game
+        this.rackRows = rackRows;
+        this.keyBall = keyBall;
+        this.breakShot = true;// Next shot is the break
+        this.ballInHandAnywhere = false;// Cue ball may go anywhere rather than behind the baulk line
+
+        // Ball colours by number - 9 to 15 use the same colours as stripes
+        this.ballColors = {
+            1: [255, 200, 0],// Yellow
+            2: [0, 60, 200],// Blue
+            3: [220, 30, 30],// Red
+            4: [100, 40, 150],// Purple
+            5: [255, 120, 0],// Orange
+            6: [0, 130, 60],// Green
+            7: [120, 20, 30],// Maroon
+            8: [20, 20, 20]// Black
+        };
+    }
+
+    // Start a new frame from the break
+    reset() {
+        this.breakShot = true;
+        this.ballInHandAnywhere = false;
+    }
+
+    // Break and ball in hand state for saving
+    getSaveData() {
+        return { breakShot: this.breakShot, ballInHandAnywhere: this.ballInHandAnywhere };
+    }
+
+    // Check the saved break and ball in hand flags
+    isValidSaveData(data) {
+        return typeof data.breakShot === 'boolean' && typeof data.ballInHandAnywhere === 'boolean';
+    }
+
+    // Carry on from saved state
+    loadSaveData(data) {
+        this.breakShot = data.breakShot;
+        this.ballInHandAnywhere = data.ballInHandAnywhere;
+    }
+
+    // Create a numbered ball - numbers above 8 are stripes
+    createPoolBall(number) {
+        let ball = new Ball(`ball_${number}`, this.ballColors[number > 8 ? number - 8 : number], number);
+        ball.number = number;
+        ball.stripe = number > 8;
+        return ball;
+    }
+
+    // Rack the balls on the foot spot in mode 1 - mode 2 scatters all but the key ball, which
+    // stays on the foot spot, and mode 3 scatters every ball
+    rackBalls(ballManager, table, mode) {
+        switch(mode) {
+            case 2: // Random positions, key ball on the foot spot
+                console.log(`Mode 2: Random ball positions, ${this.keyBall} ball on the foot spot`);
+                this.positionBallsAroundKeyBall(ballManager, table);
+                break;
+            case 3: // Random all positions
+                console.log("Mode 3: All balls in random positions");
+                ballManager.positionBallsRandom(table, true);
+                break;
+            default: // Starting positions
+                console.log("Mode 1: Balls racked on the foot spot");
+                this.positionBallsRacked(ballManager, table);
+        }
+    }
+
+    // Every ball in the rack, in the order the game racks them
+    positionBallsRacked(ballManager, table) {
+        let positions = table.getRackPositions(this.rackRows);
+        this.getRackOrder(ballManager.getColoredBalls()).forEach((ball, index) => {
+            ball.setPosition(positions[index].x, positions[index].y);
+        });
+        ballManager.createPhysicsBodies();
+    }
+
+    // Key ball on the foot spot and the others at random positions clear of it
+    positionBallsAroundKeyBall(ballManager, table) {
+        let footSpot = table.getFootSpot();
+        ballManager.getColoredBalls().forEach(ball => {
+            let position = footSpot;
+            if (ball.number !== this.keyBall) {
+                do {
+                    position = table.getRandomValidPosition();
+                } while (dist(position.x, position.y, footSpot.x, footSpot.y) < table.ballDiameter * 2);
+            }
+            ball.setPosition(position.x, position.y);
+        });
+        ballManager.createPhysicsBodies();
+    }
+
+    // Mode 2 keeps the key ball on the foot spot instead of the colours on their spots
+    getModeName(mode) {
+        if (mode === 2) return `Random positions, ${this.keyBall} ball on the foot spot`;
+        return super.getModeName(mode);
+    }
+
+    // Order balls fill the rack in, row by row from the apex
+    getRackOrder(balls) {
+        return balls;
+    }
+
+    // Shuffle balls with the game's seeded random generator
+    shuffle(balls) {
+        let shuffled = balls.slice();
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            let j = Math.floor(this.rng.random(i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    // Balls forced off the table go back on the foot spot
+    getSpotPosition(ball, table) {
+        return table.getFootSpot();
+    }
+
+    // Break from behind the baulk line - after a foul anywhere on the cloth, clear of other balls
+    isValidCueBallPlacement(x, y, table, ballManager) {
+        let inZone = this.ballInHandAnywhere ? table.isOnCloth(x, y) : table.isBehindBaulkLine(x, y);
+        return inZone && !ballManager.isSpotOccupied(x, y);
+    }
+
+    // Highlight the area behind the baulk line or the whole cloth
+    drawCueBallZone(table) {
+        if (this.ballInHandAnywhere) {
+            table.drawClothHighlight();
+        } else {
+            table.drawBaulkHighlight();
+        }
+    }
+
+    // Instruction shown while the cue ball is in hand
+    getPlacementInstruction() {
+        if (this.ballInHandAnywhere) {
+            return "Ball in hand - click anywhere on the table to place cue ball";
+        }
+        return "Click behind the baulk line to place cue ball";
+    }
+
+    // Check if a ball may legally be hit first - set by each game
+    isBallOn(ball, shot, ballManager) {
+        return true;
+    }
+
+    // Judge the basic pool fouls and the first ball hit - pool fouls carry no points
+    judgeShot(shot, ballManager) {
+        let reasons = [];
+        if (shot.pottedBalls.some(ball => ball.id === 'cue')) {
+            reasons.push("Cue ball potted");
+        }
+        if (!shot.firstContact) {
+            reasons.push("No ball hit");
+        } else if (!this.isBallOn(shot.firstContact, shot, ballManager)) {
+            reasons.push(`Hit ${this.getBallName(shot.firstContact)} first`);
+        }
+        shot.ballsOffTable.forEach(ball => {
+            reasons.push(`${this.getBallName(ball)} forced off the table`);
+        });
+
+        if (reasons.length === 0) {
+            return null;// Fair shot
+        }
+        console.log("FOUL DETECTED:", reasons.join(", "));
+        return { reasons: reasons, penalty: 0, miss: false };
+    }
+
+    // End the visit after a foul - the opponent gets ball in hand
+    // A cue ball potted on the break is played from behind the baulk line
+    awardBallInHand(foul, shot, wasBreak) {
+        let cuePotted = shot.pottedBalls.some(ball => ball.id === 'cue');
+        this.ballInHandAnywhere = !(wasBreak && cuePotted);
+        this.frameManager.endVisit(0);
+        return {
+            foul: foul,
+            message: `FOUL: ${foul.reasons[0]} - ball in hand for ${this.frameManager.getCurrentPlayer().name}`,
+            ballInHand: true
+        };
+    }
+
+    // Score legal pots for the player at the table - the visit ends when nothing counted
+    continueVisit(scoringPots) {
+        scoringPots.forEach(ball => this.frameManager.awardPottedBall(ball, 1));
+        if (scoringPots.length > 0) {
+            return { foul: null, message: "", ballInHand: false };
+        }
+        this.frameManager.endVisit(0);
+        return { foul: null, message: this.frameManager.getCurrentPlayer().name + " to play", ballInHand: false };
+    }
+
+    // Decide the frame for one player
+    awardFrame(winner, reason) {
+        this.frameManager.endFrame(winner);
+        return `${reason} - ${winner.name} wins`;
+    }
+
+    // Put a potted ball back on the foot spot
+    respotBall(ball, ballManager, table) {
+        console.log(`Re-spotting ${ball.id} on the foot spot`);
+        ballManager.respotColoredBall(ball, table);
+    }
+
+    // Numbered balls left on the table
+    getInfoLines(ballManager) {
+        return ["Balls remaining: " + ballManager.getBallsOnTable().length, this.breakShot ? "Break shot" : ""];
+    }
+
+    // Get display name for a ball in foul messages
+    getBallName(ball) {
+        return ball.number === null ? ball.id.toUpperCase() : "the " + ball.number;
+    }
+}
\ No newline at end of file
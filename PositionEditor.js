@@ -0,0 +1,181 @@
+/**
+ * PositionEditor.js - Ball Position Editor for Snooker Game
+ * This class lets the player set up any layout by hand: balls are dragged to new spots,
+ * dragged off the table to remove them, and dragged back from a tray under the table.
+ * A ball can only be dropped on the cloth, away from the pockets, without touching another ball.
+ * The D is kept for the cue ball and for the baulk colours close to their own spots
+ */
+
+class PositionEditor {
+    // Constructor for PositionEditor class - positions are checked against the table
+    constructor(table) {
+        this.table = table;
+        this.active = false;// Whether the editor is open
+        this.heldBall = null;// Ball being dragged
+        this.heldFrom = null;// Where the held ball was picked up, null if it came from the tray
+        this.startSnapshot = null;// Layout when the editor was opened
+        this.spotReach = table.ballDiameter * 2;// How far from its spot a baulk colour may go in the D
+
+        // Tray of balls off the table, drawn under the table
+        this.tray = { x: table.x, y: table.y + table.width + 28, spacing: 20 };
+    }
+
+    // Open the editor - remembers the layout so editing can be cancelled
+    start(ballManager) {
+        this.active = true;
+        this.heldBall = null;
+        this.startSnapshot = ballManager.captureSnapshot();
+        console.log("EDITOR: Opened");
+    }
+
+    // Close the editor, dropping anything still held back where it came from
+    stop(ballManager) {
+        if (this.heldBall && this.heldFrom) {
+            ballManager.placeBall(this.heldBall, this.heldFrom.x, this.heldFrom.y);
+        }
+        this.active = false;
+        this.heldBall = null;
+        console.log("EDITOR: Closed");
+    }
+
+    // Put every ball back where it was when the editor was opened
+    cancel(ballManager) {
+        this.heldBall = null;
+        ballManager.restoreSnapshot(this.startSnapshot);
+        this.stop(ballManager);
+    }
+
+    // Pick up the ball under the mouse, on the table or in the tray
+    pickUp(x, y, ballManager) {
+        let cueBall = ballManager.getCueBall();
+        let ball = ballManager.getBallAt(x, y);
+        if (!ball && cueBall.body && cueBall.isAtSpot(x, y, cueBall.radius * 1.5)) {
+            ball = cueBall;
+        }
+
+        if (ball) {
+            this.heldFrom = ball.getPosition();
+            ballManager.removeBall(ball);// Lifted off the cloth while held
+        } else {
+            ball = this.getTrayBallAt(x, y, ballManager);
+            this.heldFrom = null;
+        }
+        this.heldBall = ball;
+        return ball !== null;
+    }
+
+    // Drop the held ball - returns 'placed', 'removed' or 'invalid'
+    // Off the table the ball goes to the tray, an invalid spot sends it back where it came from
+    drop(x, y, ballManager) {
+        let ball = this.heldBall;
+        if (!ball) return null;
+        this.heldBall = null;
+
+        if (!this.isOverTable(x, y)) {
+            console.log(`EDITOR: Removed ${ball.id}`);
+            return 'removed';
+        }
+        if (this.isValidPlacement(ball, x, y, ballManager)) {
+            ballManager.placeBall(ball, x, y);
+            console.log(`EDITOR: Placed ${ball.id} at ${x.toFixed(1)}, ${y.toFixed(1)}`);
+            return 'placed';
+        }
+
+        if (this.heldFrom) {
+            ballManager.placeBall(ball, this.heldFrom.x, this.heldFrom.y);
+        }
+        return 'invalid';
+    }
+
+    // Check a spot for a ball - on the cloth, a valid table position and clear of every other ball
+    // The D only turns away balls that do not belong there
+    isValidPlacement(ball, x, y, ballManager) {
+        let faces = this.table.getCushionFaces();
+        if (x - ball.radius < faces.left || x + ball.radius > faces.right ||
+            y - ball.radius < faces.top || y + ball.radius > faces.bottom) {
+            return false;
+        }
+        let inD = this.table.isInDZone(x, y);// Far from every pocket, so only the D fails the table check
+        if (!this.table.isValidBallPosition(x, y) && !(inD && this.mayGoInD(ball, x, y))) return false;
+
+        let others = ballManager.getBallsOnTable();
+        let cueBall = ballManager.getCueBall();
+        if (cueBall.body) others.push(cueBall);
+        return others.every(other => other === ball || !other.isAtSpot(x, y, ball.radius + other.radius));
+    }
+
+    // Check if a ball may be dropped at a point in the D - the cue ball anywhere,
+    // yellow, green and brown close to their spots on the baulk line
+    mayGoInD(ball, x, y) {
+        if (ball.id === 'cue') return true;
+
+        let spot = this.table.getBallSpotPosition(ball.id);
+        return spot !== null && this.table.isInDZone(spot.x, spot.y) && dist(x, y, spot.x, spot.y) <= this.spotReach;
+    }
+
+    // Check if a point is over the table bed - dropping anywhere else removes the ball
+    isOverTable(x, y) {
+        return x >= this.table.x && x <= this.table.x + this.table.length &&
+               y >= this.table.y && y <= this.table.y + this.table.width;
+    }
+
+    // Balls shown in the tray - everything off the table except the held ball
+    getTrayBalls(ballManager) {
+        return ballManager.getBallsOffTable().filter(ball => ball !== this.heldBall);
+    }
+
+    // Find the tray ball under a point
+    getTrayBallAt(x, y, ballManager) {
+        let trayBalls = this.getTrayBalls(ballManager);
+        let index = trayBalls.findIndex((ball, i) => {
+            let position = this.getTrayPosition(i);
+            return dist(x, y, position.x, position.y) <= this.tray.spacing / 2;
+        });
+        return index >= 0 ? trayBalls[index] : null;
+    }
+
+    // Centre of the tray slot at an index
+    getTrayPosition(index) {
+        return { x: this.tray.x + this.tray.spacing / 2 + index * this.tray.spacing, y: this.tray.y };
+    }
+
+    // Draw the tray, the held ball under the mouse and the editor instructions
+    draw(ballManager) {
+        if (!this.active) return;
+
+        // Tray of balls off the table
+        this.getTrayBalls(ballManager).forEach((ball, index) => {
+            let position = this.getTrayPosition(index);
+            fill(ball.color[0], ball.color[1], ball.color[2]);
+            stroke(0);
+            strokeWeight(1);
+            circle(position.x, position.y, ball.diameter);
+        });
+
+        // Held ball follows the mouse - green ring on a valid spot, red on an invalid one, white when it will be removed
+        if (this.heldBall) {
+            fill(this.heldBall.color[0], this.heldBall.color[1], this.heldBall.color[2], 200);
+            if (!this.isOverTable(mouseX, mouseY)) {
+                stroke(255);
+            } else if (this.isValidPlacement(this.heldBall, mouseX, mouseY, ballManager)) {
+                stroke(0, 255, 0);
+            } else {
+                stroke(255, 0, 0);
+            }
+            strokeWeight(2);
+            circle(mouseX, mouseY, this.heldBall.diameter);
+        }
+
+        noStroke();
+        fill(255, 255, 0);
+        textAlign(CENTER);
+        textSize(16);
+        text("EDITOR - drag balls to move them, off the table to remove, from the tray to add back", width / 2, 20);
+        text("Press 'E' to play from this layout, ESC to cancel", width / 2, 40);
+        textAlign(LEFT);
+    }
+
+    // Getter methods for editor information
+    isActive() { return this.active; }// Check if the editor is open
+    getHeldBall() { return this.heldBall; }// Get ball being dragged
+}
\ No newline at end of file
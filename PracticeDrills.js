@@ -0,0 +1,212 @@
+/**
+ * PracticeDrills.js - Practice Routines for Snooker Game
+ * This class sets up practice layouts through the ball manager and judges each shot against
+ * the drill's target instead of the frame rules. A miss ends the attempt and the drill sets
+ * itself up again. Attempts and successes for each drill are kept for the session
+ */
+
+class PracticeDrills {
+    // Constructor for PracticeDrills class - layouts are placed on this table
+    constructor(table) {
+        this.table = table;
+        this.drill = null;// Id of the drill being practised, null when practice is off
+
+        // Built-in drills - goal is the number of pots in a row that counts as a success, the line-up is won by clearing the reds
+        this.drills = {
+            lineUp: { name: "Line-up", goal: null, description: "Clear the reds down the spots, taking a colour after each one" },
+            longPot: { name: "Long pot", goal: 1, description: "Pot the red along the cushion into the far corner" },
+            blueFromD: { name: "Blue from the D", goal: 1, description: "Place the cue ball in the D and pot the blue" },
+            pinkBlack: { name: "Pink and black", goal: 6, description: "Pot pink, black, pink, black... six in a row" }
+        };
+
+        // Session results for each drill
+        this.stats = {};
+        Object.keys(this.drills).forEach(id => {
+            this.stats[id] = { attempts: 0, successes: 0 };
+        });
+
+        // Current attempt
+        this.run = 0;// Pots so far in this attempt
+        this.nextTarget = null;// 'red', 'colour' or a ball id
+        this.targets = [];// Balls on for the shot being played
+    }
+
+    // Switch to the next drill - off, each drill in turn, then off again
+    cycleDrill() {
+        let drills = [null].concat(Object.keys(this.drills));
+        this.drill = drills[(drills.indexOf(this.drill) + 1) % drills.length];
+        console.log(`PRACTICE: ${this.drill ? this.drills[this.drill].name : "OFF"}`);
+        return this.drill;
+    }
+
+    // Start a drill by id
+    start(drill) {
+        this.drill = drill;
+    }
+
+    // Leave practice - session results are kept
+    stop() {
+        this.drill = null;
+    }
+
+    // Lay out the balls for a new attempt - every ball leaves the table, then the drill's balls go back
+    setUp(ballManager) {
+        let table = this.table;
+        ballManager.getBallsOnTable().forEach(ball => ballManager.removeBall(ball));
+        ballManager.removeBall(ballManager.getCueBall());
+        ballManager.resetColourCount();
+        this.run = 0;
+
+        let faces = table.getCushionFaces();
+        let centreY = table.y + table.width / 2;
+        let colour = id => ballManager.getColoredBalls().find(ball => ball.id === id);
+        let placeOnSpot = ball => {
+            let spot = table.getBallSpotPosition(ball.id);
+            ballManager.placeBall(ball, spot.x, spot.y);
+        };
+
+        switch(this.drill) {
+            case 'lineUp': { // Reds along the centre line past the blue, colours on their spots, cue ball in hand
+                ballManager.getColoredBalls().forEach(placeOnSpot);
+                let reds = ballManager.getBallsOffTable().filter(ball => ball.getType() === 'red');
+                this.getLineUpPositions(table, reds.length).forEach((x, index) => ballManager.placeBall(reds[index], x, centreY));
+                this.nextTarget = 'red';
+                break;
+            }
+
+            case 'longPot': { // Red and cue ball against the top or bottom cushion, alternating each attempt
+                let red = ballManager.getBallsOffTable().find(ball => ball.getType() === 'red');
+                let railY = this.stats.longPot.attempts % 2 === 0 ? faces.top + red.radius + 2 : faces.bottom - red.radius - 2;
+                ballManager.placeBall(red, table.x + table.length * 0.65, railY);
+                ballManager.placeBall(ballManager.getCueBall(), table.x + table.length * 0.4, railY);
+                this.nextTarget = red.id;
+                break;
+            }
+
+            case 'blueFromD': // Blue on its spot, cue ball in hand
+                placeOnSpot(colour('blue'));
+                this.nextTarget = 'blue';
+                break;
+
+            case 'pinkBlack': // Pink and black on their spots, cue ball just behind the pink
+                placeOnSpot(colour('pink'));
+                placeOnSpot(colour('black'));
+                ballManager.placeBall(ballManager.getCueBall(), table.x + table.length * 0.65, centreY + table.width * 0.08);
+                this.nextTarget = 'pink';
+                break;
+        }
+        console.log(`PRACTICE: ${this.drills[this.drill].name} set up`);
+    }
+
+    // X positions down the centre line for the line-up reds - from the blue to the top cushion, clear of the pink and black spots
+    getLineUpPositions(table, count) {
+        let spacing = ballDiameter * 1.5;
+        let spots = ['blue', 'pink', 'black'].map(id => table.getBallSpotPosition(id).x);
+        let end = table.getCushionFaces().right - ballDiameter * 2;
+        let positions = [];
+        for (let x = spots[0] + spacing; x < end && positions.length < count; x += spacing) {
+            if (spots.every(spotX => Math.abs(x - spotX) >= spacing)) {
+                positions.push(x);
+            }
+        }
+        return positions;
+    }
+
+    // Balls the next shot must hit first and pot
+    getTargets(ballManager) {
+        let balls = ballManager.getBallsOnTable();
+        if (this.nextTarget === 'red') return balls.filter(ball => ball.getType() === 'red');
+        if (this.nextTarget === 'colour') return balls.filter(ball => ball.getType() === 'colored');
+        return balls.filter(ball => ball.id === this.nextTarget);
+    }
+
+    // Fix the targets when the cue ball is struck - balls potted during the shot were still on
+    startShot(ballManager) {
+        this.targets = this.getTargets(ballManager);
+    }
+
+    // Judge a shot - a good shot hits a target first, pots only targets and keeps the cue ball on the table
+    // Returns { message, attemptOver } - the drill is set up again once an attempt is over
+    completeShot(shot, ballManager, rules) {
+        let targets = this.targets;
+        let settings = this.drills[this.drill];
+        let stats = this.stats[this.drill];
+        let potted = shot.pottedBalls.filter(ball => ball.id !== 'cue');
+        let good = targets.includes(shot.firstContact) &&
+                   potted.length > 0 &&
+                   potted.every(ball => targets.includes(ball)) &&
+                   !shot.pottedBalls.includes(ballManager.getCueBall()) &&
+                   shot.ballsOffTable.length === 0;
+
+        if (!good) {
+            stats.attempts++;
+            console.log(`PRACTICE: Missed after ${this.run} pots`);
+            return { message: `Missed after ${this.run} pots - ${this.getRateText()}`, attemptOver: true };
+        }
+
+        this.run += potted.length;
+        if (this.isComplete(ballManager)) {
+            stats.attempts++;
+            stats.successes++;
+            console.log(`PRACTICE: ${settings.name} completed`);
+            return { message: `SUCCESS - ${this.getRateText()}`, attemptOver: true };
+        }
+
+        // Colours go back on their spots and the next target follows the drill's order
+        potted.filter(ball => ball.getType() === 'colored').forEach(ball => ballManager.respotColoredBall(ball, this.table));
+        if (this.drill === 'lineUp') {
+            this.nextTarget = this.nextTarget === 'red' ? 'colour' : 'red';
+        } else if (this.drill === 'pinkBlack') {
+            this.nextTarget = this.nextTarget === 'pink' ? 'black' : 'pink';
+        }
+        return { message: `${this.getProgressText(ballManager)} - now ${this.getTargetName(ballManager, rules)}`, attemptOver: false };
+    }
+
+    // Next target for display - a single ball is named by the rule set, so a red shows as RED
+    getTargetName(ballManager, rules) {
+        if (this.nextTarget === 'red' || this.nextTarget === 'colour') return this.nextTarget.toUpperCase();
+
+        let ball = ballManager.getBallsOnTable().concat(ballManager.getBallsOffTable()).find(ball => ball.id === this.nextTarget);
+        return ball ? rules.getBallName(ball) : this.nextTarget.toUpperCase();
+    }
+
+    // Check if the attempt has reached the drill's goal - the line-up ends on the colour after the last red
+    isComplete(ballManager) {
+        if (this.drill === 'lineUp') return ballManager.getRedBallCount() === 0 && this.nextTarget === 'colour';
+        return this.run >= this.drills[this.drill].goal;
+    }
+
+    // How far the attempt has got as text
+    getProgressText(ballManager) {
+        if (this.drill === 'lineUp') return `${this.run} pots, ${ballManager.getRedBallCount()} reds left`;
+        return `${this.run} of ${this.drills[this.drill].goal}`;
+    }
+
+    // Success rate for the current drill as text
+    getRateText() {
+        let stats = this.stats[this.drill];
+        let rate = stats.attempts > 0 ? Math.round(stats.successes / stats.attempts * 100) : 0;
+        return `${stats.successes}/${stats.attempts} (${rate}%)`;
+    }
+
+    // Draw the drill, the current attempt and the session results under the table
+    draw(ballManager, rules) {
+        if (!this.drill) return;
+
+        let settings = this.drills[this.drill];
+        let stats = this.stats[this.drill];
+        noStroke();
+        fill(255, 255, 0);
+        textAlign(LEFT);
+        textSize(14);
+        text(`PRACTICE - ${settings.name}: ${settings.description}`, this.table.x, this.table.y + this.table.width + 26);
+        text(`${this.getProgressText(ballManager)} - ball on: ${this.getTargetName(ballManager, rules)}   ` +
+             `Attempts: ${stats.attempts}   Successes: ${stats.successes}   Rate: ${this.getRateText().split(" ")[1]}`,
+             this.table.x, this.table.y + this.table.width + 44);
+    }
+
+    // Getter methods for practice information
+    isActive() { return this.drill !== null; }// Check if a drill is being practised
+    getDrillName() { return this.drill ? this.drills[this.drill].name : "OFF"; }// Get drill name for display
+    getStats() { return this.stats; }// Get session results for every drill
+}
\ No newline at end of file
@@ -0,0 +1,125 @@
+/**
+ * RuleSet.js - Rule Set Base Class for Snooker Game
+ * This class defines what every game type provides: the ball set, the rack layout,
+ * where the cue ball may be placed, which shots are legal and how a frame is won.
+ * GameManager and BallManager only talk to the rules through these methods
+ */
+
+class RuleSet {
+    // Constructor for RuleSet class - all rule sets score through the shared frame manager
+    constructor(frameManager, name) {
+        this.frameManager = frameManager;// Players, turns and scores
+        this.name = name;// Name shown on screen
+    }
+
+    // Start a new frame - clear any state kept between shots
+    reset() {}
+
+    // Create the object balls for this game - the cue ball is always created by BallManager
+    createBalls(ballColors) {
+        return [];
+    }
+
+    // Position the object balls for a display mode (1 = rack, 2 and 3 = random)
+    rackBalls(ballManager, table, mode) {
+        ballManager.positionBallsRandom(table, true);
+    }
+
+    // Layout a display mode gives in this game, shown in the key list
+    getModeName(mode) {
+        return ["", "Starting positions", "Random red positions", "Random all positions"][mode];
+    }
+
+    // Spot a ball returns to when it is put back on the table
+    getSpotPosition(ball, table) {
+        return table.getBallSpotPosition(ball.id);
+    }
+
+    // Check if the cue ball may be placed at a position
+    isValidCueBallPlacement(x, y, table, ballManager) {
+        return table.isInDZone(x, y);
+    }
+
+    // Highlight where the cue ball may be placed
+    drawCueBallZone(table) {
+        table.drawDZoneHighlight(false);
+    }
+
+    // Instruction shown while the cue ball is in hand
+    getPlacementInstruction() {
+        return "Click in the highlighted D zone to place cue ball";
+    }
+
+    // Note a ball dropping into a pocket - returns a message to show or ""
+    notePottedBall(ball, ballManager) {
+        return "";
+    }
+
+    // Put back balls potted during play that do not stay down
+    respotBalls(pottedBalls, foul, ballManager, table) {}
+
+    // Balls the player at the table may legally hit first
+    getBallsOn(ballManager) {
+        return ballManager.getBallsOnTable();
+    }
+
+    // Judge a completed shot - returns null for a legal shot or a foul { reasons, penalty, miss }
+    judgeShot(shot, ballManager) {
+        return null;
+    }
+
+    // Score a completed shot and pass the turn on if needed
+    // Returns { foul, message, ballInHand } - ballInHand gives the next player the cue ball
+    completeShot(shot, ballManager, table) {
+        return { foul: this.judgeShot(shot, ballManager), message: "", ballInHand: false };
+    }
+
+    // Check if the frame has been won
+    isFrameOver() {
+        return this.frameManager.isFrameOver();
+    }
+
+    // Ball on for shot results, e.g. 'red' or 'ball_3'
+    getBallOn(ballManager) {
+        return "any";
+    }
+
+    // Ball on as shown on the scoreboard
+    getBallOnText(ballManager) {
+        return this.getBallOn(ballManager).toUpperCase();
+    }
+
+    // Ball name for messages and labels
+    getBallName(ball) {
+        return ball.id.toUpperCase();
+    }
+
+    // Two lines of game information for the status panel
+    getInfoLines(ballManager) {
+        return ["Balls remaining: " + ballManager.getBallsOnTable().length, ""];
+    }
+
+    // Points left and a warning for the scoreboard - null where the game has none
+    getScoreboardNotes(ballManager) {
+        return { remaining: null, warning: null };
+    }
+
+    // State kept between shots, as plain data for saving
+    getSaveData() {
+        return {};
+    }
+
+    // Check saved state before loading it - rule sets that keep no state accept any
+    isValidSaveData(data) {
+        return true;
+    }
+
+    // Carry on from saved state
+    loadSaveData(data) {}
+
+    // Set up the start of a frame from balls placed by hand - the rack's defaults suit most rule sets
+    startFromLayout(ballManager) {}
+
+    // Getter methods for rule set information
+    getName() { return this.name; }// Get name shown on screen
+}
\ No newline at end of file
@@ -0,0 +1,92 @@
+/**
+ * SaveManager.js - Save and Load Class for Snooker Game
+ * This class stores saved games as JSON documents in numbered localStorage slots
+ * and moves them in and out of the browser as downloaded and uploaded files.
+ * GameManager builds the document and puts the table back together from it
+ */
+
+class SaveManager {
+    // Constructor for SaveManager class
+    constructor() {
+        this.slotCount = 3;// Number of localStorage slots
+        this.currentSlot = 1;// Slot used by save and load
+        this.storagePrefix = "snooker-save-";// localStorage key before the slot number
+        this.fileInput = null;// Hidden file picker, created on first upload
+        this.uploadCallback = null;// Called with the uploaded saved game
+    }
+
+    // Move on to the next slot, wrapping back to the first
+    nextSlot() {
+        this.currentSlot = this.currentSlot % this.slotCount + 1;
+        console.log(`SAVE SLOT: ${this.currentSlot}`);
+    }
+
+    // Store a saved game in the current slot - returns false if the browser refused it
+    saveToSlot(saveData) {
+        if (!this.isStorageAvailable()) return false;
+
+        try {
+            localStorage.setItem(this.getStorageKey(), JSON.stringify(saveData));
+        } catch (error) {
+            console.log("Save failed:", error.message);// Storage full or blocked
+            return false;
+        }
+        console.log(`Game saved to slot ${this.currentSlot}`);
+        return true;
+    }
+
+    // Read the saved game in the current slot - null if the slot is empty or unreadable
+    loadFromSlot() {
+        if (!this.isStorageAvailable()) return null;
+
+        let text = localStorage.getItem(this.getStorageKey());
+        return text ? this.parseDocument(text) : null;
+    }
+
+    // Download a saved game as a JSON file named after the slot
+    download(saveData) {
+        saveJSON(saveData, `${this.storagePrefix}${this.currentSlot}.json`);
+        console.log("Game downloaded as JSON");
+    }
+
+    // Ask the player for a JSON file and pass its saved game to the callback (null if unreadable)
+    upload(callback) {
+        if (!this.fileInput) {
+            this.fileInput = createFileInput(file => this.readFile(file));
+            this.fileInput.hide();
+        }
+        this.uploadCallback = callback;
+        this.fileInput.elt.value = "";// Choosing the same file again still fires
+        this.fileInput.elt.click();
+    }
+
+    // p5 parses files sent as application/json - anything else arrives as text
+    readFile(file) {
+        let saveData = typeof file.data === 'string' ? this.parseDocument(file.data) : file.data;
+        this.uploadCallback(saveData || null);
+    }
+
+    // Parse a saved game - null if it is not JSON
+    parseDocument(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            console.log("Save file is not valid JSON:", error.message);
+            return null;
+        }
+    }
+
+    // Check if localStorage can be used - it is missing in Node and can be blocked in browsers
+    isStorageAvailable() {
+        try {
+            return typeof localStorage !== 'undefined' && localStorage !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Getter methods for save information
+    getStorageKey() { return this.storagePrefix + this.currentSlot; }// Get localStorage key for the current slot
+    getCurrentSlot() { return this.currentSlot; }// Get slot used by save and load
+    hasSave() { return this.isStorageAvailable() && localStorage.getItem(this.getStorageKey()) !== null; }// Check if the current slot holds a save
+}
\ No newline at end of file
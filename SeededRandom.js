@@ -0,0 +1,49 @@
+/**
+ * SeededRandom.js - Seeded Random Number Generator for Snooker Game
+ * This class provides repeatable random numbers so the same seed
+ * always produces the same layouts, obstacles and re-spots
+ */
+
+class SeededRandom {
+    // Constructor for SeededRandom class - seed defaults to the current time
+    constructor(seed = Date.now()) {
+        this.setSeed(seed);
+    }
+
+    // Reset the generator to the start of the sequence for a seed
+    setSeed(seed) {
+        this.seed = Math.floor(Number(seed)) >>> 0;// Unsigned 32-bit seed
+        this.state = this.seed;
+    }
+
+    // Next number in [0, 1) using the mulberry32 algorithm
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Random number with the same arguments as p5's random()
+    // random() -> [0, 1), random(max) -> [0, max), random(min, max) -> [min, max), random(array) -> element
+    random(min, max) {
+        let value = this.next();
+
+        if (min === undefined) return value;
+        if (Array.isArray(min)) return min[Math.floor(value * min.length)];
+        if (max === undefined) return value * min;
+        return min + value * (max - min);
+    }
+
+    // Carry on from a saved position in a seed's sequence
+    restoreState(seed, state) {
+        this.setSeed(seed);
+        this.state = state >>> 0;
+    }
+
+    // Get current seed
+    getSeed() { return this.seed; }
+    // Get position in the sequence for saving
+    getState() { return this.state; }
+}
\ No newline at end of file
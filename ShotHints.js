@@ -0,0 +1,128 @@
+/**
+ * ShotHints.js - Shot Suggestion Class for Snooker Game
+ * This class finds pots on each ball on into each pocket with ghost ball geometry,
+ * ranks them by cut angle, distance and whether a ball is in the way,
+ * and draws the best few as lines on the table
+ */
+
+class ShotHints {
+    // Constructor for ShotHints class - blocked paths are checked with the snooker detector's line test
+    constructor(table, snookerDetector) {
+        this.table = table;
+        this.snookerDetector = snookerDetector;
+        this.maxCutAngle = 75 * Math.PI / 180;// Thinner cuts are not suggested
+        this.maxSuggestions = 3;// Pots drawn on the table
+        this.blockedPenalty = 10;// Score lost when a ball is in the way
+
+        // Suggestion results
+        this.suggestions = [];// Best pots, best first
+
+        // Visual properties - one colour per rank
+        this.hintColors = [
+            [0, 255, 0],// Green - best pot
+            [255, 255, 0],// Yellow - second
+            [255, 165, 0]// Orange - third
+        ];
+
+        // System state
+        this.enabled = false;// Whether hints are turned on
+        this.visible = false;// Whether hints are currently shown
+    }
+
+    // Find the best pots from the cue ball - labels name each ball with the rule set's names
+    calculateHints(cueBall, ballsOn, objectBalls, rules) {
+        if (!this.enabled || !cueBall.body) {
+            this.suggestions = [];
+            return;
+        }
+
+        this.suggestions = this.findPots(cueBall.getPosition(), ballsOn, objectBalls)
+            .slice(0, this.maxSuggestions);
+        this.suggestions.forEach(pot => {
+            pot.label = `${rules.getBallName(pot.ball)} - ${pot.pocket.name}, ` +
+                        `${Math.round(pot.cutAngle * 180 / Math.PI)}\u00B0 cut${pot.blocked ? " (blocked)" : ""}`;
+        });
+    }
+
+    // Ghost ball pots on each ball on into each pocket, best first
+    // Straight, short pots score highest and a ball in either path costs blockedPenalty
+    findPots(cuePosition, ballsOn, objectBalls = []) {
+        let pots = [];
+
+        ballsOn.forEach(ball => {
+            let position = ball.getPosition();
+            this.table.getPocketPositions().forEach(pocket => {
+                let toPocket = { x: pocket.throat.x - position.x, y: pocket.throat.y - position.y };
+                let pocketDistance = Math.sqrt(toPocket.x * toPocket.x + toPocket.y * toPocket.y);
+
+                // Cue ball has to arrive one ball width behind the object ball, in line with the pocket
+                let ghost = {
+                    x: position.x - toPocket.x / pocketDistance * ball.diameter,
+                    y: position.y - toPocket.y / pocketDistance * ball.diameter
+                };
+                let toGhost = { x: ghost.x - cuePosition.x, y: ghost.y - cuePosition.y };
+                let cueDistance = Math.sqrt(toGhost.x * toGhost.x + toGhost.y * toGhost.y);
+                let cutAngle = Math.acos(constrain((toGhost.x * toPocket.x + toGhost.y * toPocket.y) / (cueDistance * pocketDistance), -1, 1));
+                if (cutAngle > this.maxCutAngle) return;
+
+                let blocked = !this.snookerDetector.isPathClear(cuePosition, ghost, ball, objectBalls) ||
+                              !this.snookerDetector.isPathClear(position, pocket.throat, ball, objectBalls);
+                let score = Math.cos(cutAngle) * 10 - (cueDistance + pocketDistance) / 100 - (blocked ? this.blockedPenalty : 0);
+                pots.push({
+                    ball: ball,
+                    pocket: pocket,
+                    ghost: ghost,
+                    cutAngle: cutAngle,
+                    distance: cueDistance + pocketDistance,
+                    blocked: blocked,
+                    score: score
+                });
+            });
+        });
+        return pots.sort((a, b) => b.score - a.score);
+    }
+
+    // Draw each suggestion - cue ball to ghost ball, ghost ball outline, object ball to pocket and a label
+    draw(cueBall) {
+        if (!this.enabled || !this.visible || !cueBall.body) return;
+
+        let cuePosition = cueBall.getPosition();
+        this.suggestions.forEach((pot, index) => {
+            let color = this.hintColors[index % this.hintColors.length];
+            let position = pot.ball.getPosition();
+
+            stroke(color[0], color[1], color[2], 200);
+            strokeWeight(2);
+            if (pot.blocked) drawingContext.setLineDash([4, 4]);// Dashed when a ball is in the way
+            line(cuePosition.x, cuePosition.y, pot.ghost.x, pot.ghost.y);
+            line(position.x, position.y, pot.pocket.throat.x, pot.pocket.throat.y);
+            drawingContext.setLineDash([]);
+
+            noFill();
+            strokeWeight(1);
+            circle(pot.ghost.x, pot.ghost.y, pot.ball.diameter);
+
+            // Rank and description next to the object ball
+            noStroke();
+            fill(color[0], color[1], color[2]);
+            textAlign(LEFT);
+            textSize(12);
+            text(`${index + 1}. ${pot.label}`, position.x + pot.ball.radius + 4, position.y - pot.ball.radius - 4);
+        });
+    }
+
+    // State management methods
+    show() { this.visible = true; }// Show hints
+    hide() { this.visible = false; }// Hide hints
+
+    toggle() { // Toggle hints on/off
+        this.enabled = !this.enabled;
+        if (!this.enabled) {
+            this.hide();// Hide if disabled
+        }
+    }
+
+    // Getter methods for hint information
+    isVisible() { return this.visible && this.enabled; }// Check if hints are shown
+    getSuggestions() { return this.suggestions; }// Get best pots, best first
+}
\ No newline at end of file
@@ -0,0 +1,176 @@
+/**
+ * ShotReplay.js - Shot Replay Class for Snooker Game
+ * This class records ball positions and velocities during a shot
+ * and plays the last shot back with speed control and a scrub bar
+ */
+
+class ShotReplay {
+    // Constructor for ShotReplay class - Initializes recording and playback state
+    constructor() {
+        // Recorded data
+        this.frames = [];// One entry per physics step, each holding every ball on the table
+        this.recording = false;// Whether a shot is being recorded
+        this.replayBalls = {};// Ball copies without physics bodies, keyed by ball id
+
+        // Playback state
+        this.active = false;// Whether replay is being shown
+        this.paused = false;// Whether playback is paused
+        this.playhead = 0;// Current frame position (fractional for slow motion)
+        this.speeds = { slow: 0.25, normal: 1, fast: 2.5 };
+        this.speed = this.speeds.normal;
+
+        // Scrub bar layout
+        this.scrubBar = { x: 300, y: height - 35, width: 600, height: 12 };
+    }
+
+    // Start recording a new shot - replaces the previous recording
+    startRecording(ballManager) {
+        this.frames = [];
+        this.replayBalls = {};
+        this.recording = true;
+        this.recordFrame(ballManager);// Starting positions
+    }
+
+    // Record position and velocity of every ball on the table
+    recordFrame(ballManager) {
+        if (!this.recording) return;
+
+        let allBalls = ballManager.getBallsOnTable();
+        let cueBall = ballManager.getCueBall();
+        if (cueBall.body) allBalls.push(cueBall);
+
+        let frame = allBalls.map(ball => {
+            let position = ball.getPosition();
+            let velocity = ball.getVelocity();
+
+            // Keep a body-less copy of each ball for drawing
+            if (!this.replayBalls[ball.id]) {
+                this.replayBalls[ball.id] = new Ball(ball.id, ball.color, ball.value);
+            }
+            return { id: ball.id, x: position.x, y: position.y, vx: velocity.x, vy: velocity.y };
+        });
+        this.frames.push(frame);
+    }
+
+    // Stop recording once the shot is over
+    stopRecording() {
+        this.recording = false;
+        console.log(`REPLAY: Recorded ${this.frames.length} frames`);
+    }
+
+    // Start playing back the last shot from the beginning
+    start() {
+        if (this.recording || this.frames.length < 2) return false;
+
+        this.active = true;
+        this.paused = false;
+        this.playhead = 0;
+        this.speed = this.speeds.normal;
+        return true;
+    }
+
+    // Leave replay and return to the live table
+    stop() {
+        this.active = false;
+    }
+
+    // Advance playback by the current speed
+    update() {
+        if (!this.active || this.paused) return;
+
+        this.playhead += this.speed;
+        if (this.playhead >= this.frames.length - 1) {
+            this.playhead = this.frames.length - 1;
+            this.paused = true;// Hold on the final position
+        }
+    }
+
+    // Step through frames one at a time (pauses playback)
+    step(direction) {
+        this.paused = true;
+        this.playhead = constrain(Math.round(this.playhead) + direction, 0, this.frames.length - 1);
+    }
+
+    // Set playback speed by name: slow, normal or fast
+    setSpeed(speedName) {
+        this.speed = this.speeds[speedName];
+    }
+
+    // Pause or resume playback - restarts when at the end
+    togglePause() {
+        if (this.paused && this.playhead >= this.frames.length - 1) {
+            this.playhead = 0;
+        }
+        this.paused = !this.paused;
+    }
+
+    // Move playhead to the frame under the mouse if it is on the scrub bar
+    scrubTo(mouseX, mouseY) {
+        let bar = this.scrubBar;
+        if (mouseY < bar.y - 10 || mouseY > bar.y + bar.height + 10) return false;
+        if (mouseX < bar.x || mouseX > bar.x + bar.width) return false;
+
+        this.paused = true;
+        this.playhead = Math.round(map(mouseX, bar.x, bar.x + bar.width, 0, this.frames.length - 1));
+        return true;
+    }
+
+    // Draw balls at the current replay frame using the normal ball drawing
+    draw() {
+        if (!this.active) return;
+
+        let frame = this.frames[Math.floor(this.playhead)];
+        frame.forEach(state => {
+            let ball = this.replayBalls[state.id];
+            ball.setPosition(state.x, state.y);// No physics body - only moves the drawn copy
+            ball.draw();
+        });
+
+        this.drawScrubBar();
+        this.drawReplayInfo(frame);
+    }
+
+    // Draw scrub bar with the playhead position
+    drawScrubBar() {
+        let bar = this.scrubBar;
+        let progress = this.playhead / (this.frames.length - 1);
+
+        fill(50);
+        stroke(255);
+        strokeWeight(1);
+        rect(bar.x, bar.y, bar.width, bar.height, 4);
+
+        noStroke();
+        fill(255, 200, 0);
+        rect(bar.x, bar.y, bar.width * progress, bar.height, 4);
+
+        fill(255);
+        circle(bar.x + bar.width * progress, bar.y + bar.height / 2, 16);
+    }
+
+    // Draw replay status and controls
+    drawReplayInfo(frame) {
+        let cueState = frame.find(state => state.id === 'cue');
+        let speedName = Object.keys(this.speeds).find(name => this.speeds[name] === this.speed);
+
+        fill(255, 200, 0);
+        textAlign(CENTER);
+        textSize(20);
+        text("REPLAY" + (this.paused ? " (PAUSED)" : "") + " - " + speedName.toUpperCase(), width / 2, 30);
+
+        fill(255);
+        textSize(14);
+        let frameText = "Frame " + (Math.floor(this.playhead) + 1) + " / " + this.frames.length;
+        if (cueState) {
+            frameText += "   Cue ball speed: " + Math.sqrt(cueState.vx ** 2 + cueState.vy ** 2).toFixed(1);
+        }
+        text(frameText, width / 2, this.scrubBar.y - 10);
+        text("SPACE pause   LEFT/RIGHT step   1 slow  2 normal  3 fast   R exit", width / 2, height - 5);
+    }
+
+    // Getter methods for replay information
+    isActive() { return this.active; }// Check if replay is being shown
+    isRecording() { return this.recording; }// Check if a shot is being recorded
+    hasRecording() { return this.frames.length > 1; }// Check if there is a shot to replay
+    getFrameCount() { return this.frames.length; }// Get number of recorded frames
+}
\ No newline at end of file
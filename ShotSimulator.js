@@ -0,0 +1,139 @@
+/**
+ * ShotSimulator.js - Shot Simulation Class for Snooker Game
+ * This class plays a shot out in a throwaway copy of the physics world
+ * so predictions use exactly the same bodies, friction and time step as the real shot
+ */
+
+class ShotSimulator {
+    // Constructor for ShotSimulator class - uses the game's ball physics for spin and friction
+    constructor(table, ballPhysics) {
+        this.table = table;
+        this.ballPhysics = ballPhysics;
+        this.timeStep = 1000 / 60;// Same fixed physics step as GameManager
+        this.maxSteps = 600;// Long enough for a full power shot to stop
+    }
+
+    // Simulate a shot - returns the path of every ball that moved, the cue ball's first contact
+    // and the balls that dropped into pockets. Dynamic obstacles are left out - they move on their own timers
+    simulate(cueBall, objectBalls, velocity, spin) {
+        let world = this.createWorld(cueBall, objectBalls);
+        let cueBody = world.bodies.get(cueBall);
+        Body.setVelocity(cueBody, velocity);
+        cueBody.plugin.spin = spin;
+
+        let result = {
+            paths: new Map(),// Ball -> [{x, y, speed, bounce, step}]
+            bounces: new Map(),// Ball -> cushion contacts so far
+            firstContact: null,// { ball, position, step } for the first object ball hit
+            potted: [],// { ball, pocket, step } in the order balls drop
+            offTable: []// Balls that left the table without being potted
+        };
+        world.balls.forEach(ball => result.bounces.set(ball, 0));
+        result.paths.set(cueBall, [this.createPathPoint(cueBody, 0, 0)]);
+
+        let step = 0;
+        Events.on(world.engine, 'collisionStart', event => {
+            event.pairs.forEach(pair => this.recordCollision(pair, world, result, step));
+        });
+
+        for (step = 1; step <= this.maxSteps; step++) {
+            Engine.update(world.engine, this.timeStep);
+            this.ballPhysics.update(world.engine);
+
+            let moving = false;
+            world.balls.forEach(ball => {
+                let body = world.bodies.get(ball);
+                if (!body || body.plugin.spin.motion === "AT_REST") return;
+
+                moving = true;
+                if (!result.paths.has(ball)) result.paths.set(ball, []);
+                result.paths.get(ball).push(this.createPathPoint(body, result.bounces.get(ball), step));
+                this.checkBallLeftTable(ball, world, result, step);
+            });
+            if (!moving) break;
+        }
+
+        Engine.clear(world.engine);
+        return result;
+    }
+
+    // Build a new engine with copies of the cushions and the balls on the table
+    createWorld(cueBall, objectBalls) {
+        let simEngine = Engine.create();
+        simEngine.world.gravity.x = 0;
+        simEngine.world.gravity.y = 0;
+
+        let bodies = new Map();// Ball -> body in the throwaway world
+        let balls = [cueBall].concat(objectBalls.filter(ball => ball.body));
+        balls.forEach(ball => {
+            let position = ball.getPosition();
+            bodies.set(ball, Ball.buildBody(position.x, position.y, ball.radius));
+        });
+
+        World.add(simEngine.world, this.table.buildCushionBodies());
+        World.add(simEngine.world, Array.from(bodies.values()));
+        this.ballPhysics.attach(simEngine);
+        return { engine: simEngine, balls: balls, bodies: bodies };
+    }
+
+    // Drop balls that reach a pocket or leave the table - their paths end there
+    checkBallLeftTable(ball, world, result, step) {
+        let body = world.bodies.get(ball);
+        let pocket = this.findPocket(body.position);
+        let boundaries = this.table.getBoundaries();
+        let offTable = body.position.x < boundaries.left - ball.radius ||
+                       body.position.x > boundaries.right + ball.radius ||
+                       body.position.y < boundaries.top - ball.radius ||
+                       body.position.y > boundaries.bottom + ball.radius;
+        if (!pocket && !offTable) return;
+
+        if (pocket) {
+            result.potted.push({ ball: ball, pocket: pocket, step: step });
+        } else {
+            result.offTable.push(ball);
+        }
+        World.remove(world.engine.world, body);
+        world.bodies.delete(ball);
+    }
+
+    // Find the pocket a position has dropped into - same test as Ball.isInPocket
+    findPocket(position) {
+        return this.table.getPocketEntered(position);
+    }
+
+    // Count cushion contacts and note the first ball the cue ball touches
+    recordCollision(pair, world, result, step) {
+        let ballA = this.findBall(world, pair.bodyA);
+        let ballB = this.findBall(world, pair.bodyB);
+
+        if (ballA && pair.bodyB.label === 'cushion') result.bounces.set(ballA, result.bounces.get(ballA) + 1);
+        if (ballB && pair.bodyA.label === 'cushion') result.bounces.set(ballB, result.bounces.get(ballB) + 1);
+
+        if (result.firstContact || !ballA || !ballB) return;
+        let cueBall = world.balls[0];
+        if (ballA !== cueBall && ballB !== cueBall) return;
+
+        let cueBody = world.bodies.get(cueBall);
+        result.firstContact = {
+            ball: ballA === cueBall ? ballB : ballA,
+            position: { x: cueBody.position.x, y: cueBody.position.y },
+            step: step
+        };
+    }
+
+    // Find the ball a body in the throwaway world belongs to
+    findBall(world, body) {
+        return world.balls.find(ball => world.bodies.get(ball) === body);
+    }
+
+    // Path point for a body at the current step
+    createPathPoint(body, bounce, step) {
+        return {
+            x: body.position.x,
+            y: body.position.y,
+            speed: body.speed,
+            bounce: bounce,
+            step: step
+        };
+    }
+}
\ No newline at end of file
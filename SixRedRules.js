@@ -0,0 +1,12 @@
+/**
+ * SixRedRules.js - Six-Red Snooker Rule Set for Snooker Game
+ * This class plays snooker with six reds in a three row triangle.
+ * Every other rule is the same as full snooker
+ */
+
+class SixRedRules extends SnookerRules {
+    // Constructor for SixRedRules class
+    constructor(frameManager, foulDetector) {
+        super(frameManager, foulDetector, "Six-red snooker", 6);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * SnookerDetector.js - Snooker Detection Class for Snooker Game
+ * This class checks whether the cue ball can hit a ball on in a straight
+ * line or whether balls not on obstruct every path (snookered)
+ */
+
+class SnookerDetector {
+    // Constructor for SnookerDetector class
+    constructor() {
+        this.ballRadius = ballRadius; // Use global ball radius
+    }
+
+    // Check if cue ball is snookered - no ball on can be hit on both extreme edges
+    isSnookered(cueBall, ballsOn, obstructingBalls) {
+        if (!cueBall.body || ballsOn.length === 0) return false;
+
+        for (let ball of ballsOn) {
+            if (this.canHitBothEdges(cueBall, ball, obstructingBalls)) {
+                return false;// At least one ball on is fully visible
+            }
+        }
+        return true;
+    }
+
+    // Check both extreme edges of target ball are reachable in a straight line
+    canHitBothEdges(cueBall, targetBall, obstructingBalls) {
+        let cuePos = cueBall.getPosition();
+        let targetPos = targetBall.getPosition();
+        let distance = dist(cuePos.x, cuePos.y, targetPos.x, targetPos.y);
+        if (distance === 0) return true;
+
+        // Cue ball centre positions when just grazing each edge of the target
+        let contactOffset = this.ballRadius * 2;
+        let perpX = -(targetPos.y - cuePos.y) / distance;
+        let perpY = (targetPos.x - cuePos.x) / distance;
+        let edges = [
+            { x: targetPos.x + perpX * contactOffset, y: targetPos.y + perpY * contactOffset },
+            { x: targetPos.x - perpX * contactOffset, y: targetPos.y - perpY * contactOffset }
+        ];
+
+        return edges.every(edge => this.isPathClear(cuePos, edge, targetBall, obstructingBalls));
+    }
+
+    // Check no obstructing ball lies within the path swept by the cue ball
+    isPathClear(start, end, targetBall, obstructingBalls) {
+        for (let ball of obstructingBalls) {
+            if (ball === targetBall || !ball.body) continue;
+
+            let position = ball.getPosition();
+            if (this.distanceToSegment(position, start, end) < this.ballRadius * 2) {
+                return false;// Ball in the way
+            }
+        }
+        return true;
+    }
+
+    // Shortest distance from a point to a line segment
+    distanceToSegment(point, start, end) {
+        let segmentX = end.x - start.x;
+        let segmentY = end.y - start.y;
+        let lengthSquared = segmentX * segmentX + segmentY * segmentY;
+        if (lengthSquared === 0) return dist(point.x, point.y, start.x, start.y);
+
+        // Project point onto segment and clamp to the segment ends
+        let t = ((point.x - start.x) * segmentX + (point.y - start.y) * segmentY) / lengthSquared;
+        t = Math.max(0, Math.min(1, t));
+        return dist(point.x, point.y, start.x + t * segmentX, start.y + t * segmentY);
+    }
+}
\ No newline at end of file
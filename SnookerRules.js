@@ -0,0 +1,180 @@
+/**
+ * SnookerRules.js - Snooker Rule Set for Snooker Game
+ * This class plays full snooker with 15 reds: the ball on, fouls, misses, free balls
+ * and re-spotting come from FrameManager and FoulDetector
+ */
+
+class SnookerRules extends RuleSet {
+    // Constructor for SnookerRules class - fouls are judged by the snooker foul detector
+    constructor(frameManager, foulDetector, name = "Snooker", redCount = 15) {
+        super(frameManager, name);
+        this.foulDetector = foulDetector;
+        this.redCount = redCount;// Reds racked in the triangle
+
+        // Colours with their values, in clearance order
+        this.colourData = [
+            { name: 'yellow', value: 2 },
+            { name: 'green', value: 3 },
+            { name: 'brown', value: 4 },
+            { name: 'blue', value: 5 },
+            { name: 'pink', value: 6 },
+            { name: 'black', value: 7 }
+        ];
+    }
+
+    // Create the reds and the six colours
+    createBalls(ballColors) {
+        let balls = [];
+        for (let i = 0; i < this.redCount; i++) {
+            balls.push(new Ball(`red_${i}`, ballColors.red, 1));
+        }
+        this.colourData.forEach(data => {
+            balls.push(new Ball(data.name, ballColors[data.name], data.value));
+        });
+        return balls;
+    }
+
+    // Reds in the triangle (or scattered) and colours on their spots (or scattered in mode 3)
+    rackBalls(ballManager, table, mode) {
+        switch(mode) {
+            case 1: // Starting positions
+                console.log("Mode 1: All balls in starting positions");
+                ballManager.positionBallsStarting(table);
+                break;
+            case 2: // Random red positions only
+                console.log("Mode 2: Random red ball positions, colored balls on spots");
+                ballManager.positionBallsRandom(table, false);
+                break;
+            case 3: // Random all positions
+                console.log("Mode 3: All balls in random positions");
+                ballManager.positionBallsRandom(table, true);
+                break;
+        }
+    }
+
+    // Count consecutive colours potted while reds remain - two in a row is a mistake
+    notePottedBall(ball, ballManager) {
+        if (ball.getType() === 'red') {
+            ballManager.lastPottedBallType = "red";
+            ballManager.consecutiveColoredBalls = 0;// Reset consecutive colored counter
+            return "";
+        }
+
+        let message = "";
+        if (ballManager.lastPottedBallType !== "red" && ballManager.getRedBallCount() > 0) {
+            ballManager.consecutiveColoredBalls++;
+            console.log(`Consecutive colored balls: ${ballManager.consecutiveColoredBalls}`);
+            if (ballManager.consecutiveColoredBalls >= 2) {
+                console.log("ERROR: Two consecutive colored balls potted!");
+                message = "MISTAKE: Two consecutive colored balls potted!";
+            }
+        } else {
+            ballManager.consecutiveColoredBalls = 1;
+        }
+        ballManager.lastPottedBallType = "colored";
+        return message;
+    }
+
+    // Re-spot potted colours - the colour on stays down when cleared legally
+    respotBalls(pottedBalls, foul, ballManager, table) {
+        let ballOn = this.frameManager.getBallOn();
+        pottedBalls.forEach(ball => {
+            if (ball.getType() !== 'colored') return;
+
+            if (!foul && this.frameManager.colourStaysDown(ball, ballOn)) {
+                console.log(`${ball.id.toUpperCase()} cleared - stays down`);
+            } else {
+                console.log(`Re-spotting ${ball.id} ball on designated spot`);
+                ballManager.respotColoredBall(ball, table);
+            }
+        });
+    }
+
+    // Start an edited layout on the right ball - colours left out of it count as already cleared
+    startFromLayout(ballManager) {
+        let colourIds = ballManager.getColoredBalls().filter(ball => ball.body).map(ball => ball.id);
+        this.frameManager.startFromLayout(ballManager.getRedBallCount(), colourIds);
+    }
+
+    // Balls on for the current shot - a nominated free ball counts as a ball on
+    getBallsOn(ballManager) {
+        let ballsOn = ballManager.getBallsOn(this.frameManager.getBallOn());
+        let freeBall = this.frameManager.getFreeBall();
+        if (freeBall && freeBall.body) {
+            ballsOn.push(freeBall);
+        }
+        return ballsOn;
+    }
+
+    // Judge the shot against the ball on and any free ball
+    judgeShot(shot, ballManager) {
+        return this.foulDetector.judgeShot(shot, this.frameManager.getBallOn(), this.frameManager.getFreeBall());
+    }
+
+    // Score the shot - fouls give penalty points to the opponent, pots extend the break
+    completeShot(shot, ballManager, table) {
+        let redsRemaining = ballManager.getRedBallCount();
+        let ballOn = this.frameManager.getBallOn();
+        let foul = this.judgeShot(shot, ballManager);
+        let message = "";
+        this.respotBalls(shot.pottedBalls, foul !== null, ballManager, table);
+
+        if (foul) {
+            let receiver = this.frameManager.getOpponent();
+            this.frameManager.awardFoul(foul.penalty, redsRemaining);
+            message = `FOUL: ${foul.reasons[0]} - ${foul.penalty} points to ${receiver.name}`;
+        } else {
+            let previousPlayer = this.frameManager.getCurrentPlayerIndex();
+            let ballOnValue = this.foulDetector.getBallOnValue(ballOn, shot.firstContact);
+            this.frameManager.completeShot(shot.pottedBalls, redsRemaining, ballOnValue);
+
+            if (this.frameManager.getCurrentPlayerIndex() !== previousPlayer) {
+                message = this.frameManager.getCurrentPlayer().name + " to play";
+            }
+        }
+        this.frameManager.clearFreeBall();// Free ball only lasts for one shot
+        return { foul: foul, message: message, ballInHand: false };
+    }
+
+    // Ball on: 'red', 'colour' or a colour name
+    getBallOn(ballManager) {
+        return this.frameManager.getBallOn();
+    }
+
+    // Ball on with the free ball and re-spotted black shown
+    getBallOnText(ballManager) {
+        if (this.frameManager.isRespottedBlack()) return "RE-SPOTTED BLACK";
+        let freeBall = this.frameManager.getFreeBall();
+        if (freeBall) return "FREE BALL (" + this.foulDetector.getBallName(freeBall) + ")";
+        return this.getBallOn(ballManager).toUpperCase();
+    }
+
+    // Ball name for messages and labels - every red is just RED
+    getBallName(ball) {
+        return this.foulDetector.getBallName(ball);
+    }
+
+    // Reds left and the consecutive colour counter
+    getInfoLines(ballManager) {
+        return [
+            "Red balls remaining: " + ballManager.getRedBallCount(),
+            "Consecutive colored balls: " + ballManager.getConsecutiveColoredBalls()
+        ];
+    }
+
+    // Points left and snookers needed by the trailing player
+    getScoreboardNotes(ballManager) {
+        let pointsRemaining = this.frameManager.getPointsRemaining(ballManager.getRedBallCount(),
+                                                                   ballManager.getBallsOn('colour'));
+        let snookerValue = Math.max(this.foulDetector.minimumPenalty,
+                                    this.foulDetector.getBallOnValue(this.frameManager.getBallOn(), null));
+        let snookersRequired = this.frameManager.getSnookersRequired(pointsRemaining, snookerValue);
+
+        let warning = null;
+        if (snookersRequired) {
+            let plural = snookersRequired.count > 1 ? " snookers" : " snooker";
+            warning = snookersRequired.player.name + " needs " + snookersRequired.count + plural;
+        }
+        return { remaining: "Remaining: " + pointsRemaining, warning: warning };
+    }
+}
\ No newline at end of file
@@ -6,11 +6,14 @@
 
 class Table {
     //Constructor for Table class
-    constructor() {
+    constructor(rng) {
+        this.rng = rng; // Seeded random generator shared with the game
+        
         // Table dimensions maintaining 2:1 ratio
         this.length = 1000;// Table length in pixels
         this.width = 500;// Table width in pixels (length/2)
         this.cushionThickness = 12;// Cushion thickness for physics and visuals
+        this.cushionBackDepth = 40;// Extra physics depth behind each cushion so fast balls cannot pass through
         
         // Calculate table position (centered in canvas)
         this.x = (width - this.length) / 2;
@@ -21,6 +24,12 @@ class Table {
         this.ballRadius = this.ballDiameter / 2;
         
         this.pocketRadius = this.ballDiameter * 1.5;// Pocket properties 
+        this.cornerPocketMouth = this.ballDiameter * 2.1;// Gap between corner jaw tips
+        this.cornerPocketThroat = this.ballDiameter * 1.8;// Gap between corner jaw ends where balls drop
+        this.middlePocketMouth = this.ballDiameter * 2.3;// Gap between middle jaw tips
+        this.middlePocketThroat = this.ballDiameter * 1.9;// Gap between middle jaw ends where balls drop
+        this.middlePocketDepth = this.ballRadius * 1.5;// Distance from the cushion face to the middle throat
+        this.jawThickness = 20;// Physics thickness behind each jaw face
         this.cushionBodies = [];// Cushion physics bodies
         this.pocketPositions = [];// Pocket positions array
         
@@ -34,97 +43,159 @@ class Table {
             black: { x: 0.88, y: 0.5 } // Near right end
         };
         
-        this.initializePockets();// Create pocket positions
+        this.initializePockets();// Create pocket mouths and jaws
         this.createCushions();// Create physics cushions
     }
     
-    // Create cushion physics bodies with proper alignment
+    // Create cushion physics bodies and add them to the physics world
     createCushions() {
-        // Top cushion - INSIDE table boundary, shortened to avoid corner pockets
-        let topCushion = Bodies.rectangle(
-            this.x + this.length/2, 
-            this.y + this.cushionThickness/3, 
-            this.length - this.pocketRadius * 2, 
-            this.cushionThickness, 
-            { 
-                isStatic: true, 
-                restitution: 0.95, 
-                friction: 0.1,
-                frictionStatic: 0.1,
-                label: 'cushion'
-            }
-        );
+        this.cushionBodies = this.buildCushionBodies();
+        World.add(engine.world, this.cushionBodies);// Add to physics world
+    }
+    
+    // Build cushion and pocket jaw physics bodies - also used for throwaway prediction worlds
+    // Each cushion runs between the jaw tips of the pockets at its ends
+    buildCushionBodies() {
+        let faces = this.getCushionFaces();
+        let depth = this.cushionThickness + this.cushionBackDepth;
+        let [topLeft, topRight, bottomLeft, bottomRight, topMiddle, bottomMiddle] = this.pocketPositions;
         
-        // Bottom cushion - INSIDE table boundary, shortened to avoid corner pockets
-        let bottomCushion = Bodies.rectangle(
-            this.x + this.length/2, 
-            this.y + this.width - this.cushionThickness/2, 
-            this.length - this.pocketRadius * 2, 
-            this.cushionThickness, 
-            { 
-                isStatic: true, 
-                restitution: 0.95, 
-                friction: 0.1,
-                frictionStatic: 0.1,
-                label: 'cushion'
-            }
-        );
+        let cushions = [
+            // Top and bottom cushions - split at the middle pockets
+            this.buildCushionBody(topLeft.jaws[0].tip.x, faces.top - depth, topMiddle.jaws[1].tip.x, faces.top),
+            this.buildCushionBody(topMiddle.jaws[0].tip.x, faces.top - depth, topRight.jaws[1].tip.x, faces.top),
+            this.buildCushionBody(bottomLeft.jaws[0].tip.x, faces.bottom, bottomMiddle.jaws[1].tip.x, faces.bottom + depth),
+            this.buildCushionBody(bottomMiddle.jaws[0].tip.x, faces.bottom, bottomRight.jaws[1].tip.x, faces.bottom + depth),
+            
+            // Left and right cushions - between the corner pockets
+            this.buildCushionBody(faces.left - depth, topLeft.jaws[1].tip.y, faces.left, bottomLeft.jaws[1].tip.y),
+            this.buildCushionBody(faces.right, topRight.jaws[0].tip.y, faces.right + depth, bottomRight.jaws[0].tip.y)
+        ];
         
-        // Left cushion - INSIDE table boundary, shortened to avoid corner pockets
-        let leftCushion = Bodies.rectangle(
-            this.x + this.cushionThickness/2, 
-            this.y + this.width/2, 
-            this.cushionThickness, 
-            this.width - this.pocketRadius * 2,
-            { 
-                isStatic: true, 
-                restitution: 0.95, 
-                friction: 0.1,
-                frictionStatic: 0.1,
-                label: 'cushion'
-            }
-        );
+        // Two angled jaws line every pocket mouth
+        this.pocketPositions.forEach(pocket => {
+            cushions.push(this.buildJawBody(pocket.jaws[0], pocket.across));
+            cushions.push(this.buildJawBody(pocket.jaws[1], { x: -pocket.across.x, y: -pocket.across.y }));
+        });
+        return cushions;
+    }
+    
+    // Build one straight cushion from its edges
+    buildCushionBody(left, top, right, bottom) {
+        return Bodies.rectangle((left + right) / 2, (top + bottom) / 2, right - left, bottom - top, this.getCushionOptions());
+    }
+    
+    // Build a jaw running from its tip on the cushion face back to the throat
+    // The body sits on the side away from the pocket so its face lies exactly on the jaw line
+    buildJawBody(jaw, away) {
+        let dx = jaw.end.x - jaw.tip.x;
+        let dy = jaw.end.y - jaw.tip.y;
+        let length = Math.sqrt(dx * dx + dy * dy);
+        let normal = { x: -dy / length, y: dx / length };
+        if (normal.x * away.x + normal.y * away.y < 0) {
+            normal = { x: -normal.x, y: -normal.y };
+        }
         
-        // Right cushion - INSIDE table boundary, shortened to avoid corner pockets
-        let rightCushion = Bodies.rectangle(
-            this.x + this.length - this.cushionThickness/2, 
-            this.y + this.width/2, 
-            this.cushionThickness, 
-            this.width - this.pocketRadius * 2,
-            { 
-                isStatic: true, 
-                restitution: 0.95, 
-                friction: 0.1,
-                frictionStatic: 0.1,
-                label: 'cushion'
-            }
+        let options = this.getCushionOptions();
+        options.angle = Math.atan2(dy, dx);
+        options.plugin = { jaw: true };
+        return Bodies.rectangle(
+            (jaw.tip.x + jaw.end.x) / 2 + normal.x * this.jawThickness / 2,
+            (jaw.tip.y + jaw.end.y) / 2 + normal.y * this.jawThickness / 2,
+            length,
+            this.jawThickness,
+            options
         );
-        
-        this.cushionBodies = [topCushion, bottomCushion, leftCushion, rightCushion];
-        World.add(engine.world, this.cushionBodies);// Add to physics world
     }
     
-    // Initialize pocket positions and create physics sensors
+    // Physics options shared by cushions and jaws - jaws are cushion rubber too
+    getCushionOptions() {
+        return {
+            isStatic: true,
+            restitution: 0.95,
+            friction: 0.1,
+            frictionStatic: 0.1,
+            label: 'cushion'
+        };
+    }
+    
+    // Lines of the cushion faces the balls bounce off
+    getCushionFaces() {
+        return {
+            left: this.x + this.cushionThickness,
+            right: this.x + this.length - this.cushionThickness,
+            top: this.y + this.cushionThickness * 5/6,
+            bottom: this.y + this.width - this.cushionThickness
+        };
+    }
+    
+    // Initialize pocket mouths - corner pockets sit across the corner, middle pockets in the long cushions
     initializePockets() {
+        let faces = this.getCushionFaces();
+        let cornerGap = this.cornerPocketMouth / Math.SQRT2;// Distance from the corner to each jaw tip
+        let middleX = this.x + this.length / 2;
+        let middleGap = this.middlePocketMouth / 2;
+        let diagonal = Math.SQRT1_2;
+        
         this.pocketPositions = [
-            // Corner pockets - move inward diagonally, middle pockets - move inward vertically only
-            { x: this.x + this.pocketRadius * 0.5, y: this.y + this.pocketRadius * 0.5, name: "top-left" },
-            { x: this.x + this.length - this.pocketRadius * 0.5, y: this.y + this.pocketRadius * 0.5, name: "top-right" },
-            { x: this.x + this.pocketRadius * 0.5, y: this.y + this.width - this.pocketRadius * 0.5, name: "bottom-left" },
-            { x: this.x + this.length - this.pocketRadius * 0.5, y: this.y + this.width - this.pocketRadius * 0.5, name: "bottom-right" },
-            { x: this.x + this.length / 2, y: this.y + this.pocketRadius * 0.5, name: "top-middle" },
-            { x: this.x + this.length / 2, y: this.y + this.width - this.pocketRadius * 0.5, name: "bottom-middle" }
+            this.createPocket("top-left",
+                { x: faces.left + cornerGap, y: faces.top }, { x: faces.left, y: faces.top + cornerGap },
+                { x: -diagonal, y: -diagonal }, this.cornerPocketThroat, cornerGap * diagonal),
+            this.createPocket("top-right",
+                { x: faces.right, y: faces.top + cornerGap }, { x: faces.right - cornerGap, y: faces.top },
+                { x: diagonal, y: -diagonal }, this.cornerPocketThroat, cornerGap * diagonal),
+            this.createPocket("bottom-left",
+                { x: faces.left + cornerGap, y: faces.bottom }, { x: faces.left, y: faces.bottom - cornerGap },
+                { x: -diagonal, y: diagonal }, this.cornerPocketThroat, cornerGap * diagonal),
+            this.createPocket("bottom-right",
+                { x: faces.right, y: faces.bottom - cornerGap }, { x: faces.right - cornerGap, y: faces.bottom },
+                { x: diagonal, y: diagonal }, this.cornerPocketThroat, cornerGap * diagonal),
+            this.createPocket("top-middle",
+                { x: middleX + middleGap, y: faces.top }, { x: middleX - middleGap, y: faces.top },
+                { x: 0, y: -1 }, this.middlePocketThroat, this.middlePocketDepth),
+            this.createPocket("bottom-middle",
+                { x: middleX + middleGap, y: faces.bottom }, { x: middleX - middleGap, y: faces.bottom },
+                { x: 0, y: 1 }, this.middlePocketThroat, this.middlePocketDepth)
         ];
+    }
+    
+    // Create a pocket from its two jaw tips - the jaws narrow from the mouth to the throat,
+    // where the ball drops. x and y are the centre of the hole just beyond the throat
+    createPocket(name, tipA, tipB, direction, throatWidth, depth) {
+        let mouthWidth = dist(tipA.x, tipA.y, tipB.x, tipB.y);
+        let across = { x: (tipA.x - tipB.x) / mouthWidth, y: (tipA.y - tipB.y) / mouthWidth };
+        let throat = {
+            x: (tipA.x + tipB.x) / 2 + direction.x * depth,
+            y: (tipA.y + tipB.y) / 2 + direction.y * depth
+        };
         
-        // Add physics sensors to world for pocket detection
-        this.pocketPositions.forEach(pocket => {
-            let sensor = Bodies.circle(pocket.x, pocket.y, this.pocketRadius * 0.75, {
-                isSensor: true,
-                isStatic: true,
-                label: 'pocket'
-            });
-            World.add(engine.world, sensor);
-        });
+        return {
+            name: name,
+            x: throat.x + direction.x * this.ballRadius,
+            y: throat.y + direction.y * this.ballRadius,
+            direction: direction,// Into the pocket, away from the table
+            across: across,// Along the throat, from jaw B to jaw A
+            throat: throat,
+            throatWidth: throatWidth,
+            mouthWidth: mouthWidth,
+            jaws: [
+                { tip: tipA, end: { x: throat.x + across.x * throatWidth / 2, y: throat.y + across.y * throatWidth / 2 } },
+                { tip: tipB, end: { x: throat.x - across.x * throatWidth / 2, y: throat.y - across.y * throatWidth / 2 } }
+            ]
+        };
+    }
+    
+    // Find the pocket a ball centre has dropped into - null until it crosses a pocket throat
+    // Balls that catch a jaw on the way in can rattle back out before reaching it.
+    // Past the throat only the hole is left, so anything inside the mouth's width has dropped
+    getPocketEntered(position) {
+        return this.pocketPositions.find(pocket => {
+            let offsetX = position.x - pocket.throat.x;
+            let offsetY = position.y - pocket.throat.y;
+            let past = offsetX * pocket.direction.x + offsetY * pocket.direction.y;
+            let along = offsetX * pocket.across.x + offsetY * pocket.across.y;
+            return past > 0 && Math.abs(along) < pocket.mouthWidth / 2;
+        }) || null;
     }
     
     // Main drawing method for the table
@@ -167,6 +238,16 @@ class Table {
     
     // Draw all six pockets with visual enhancement
     drawPockets() {
+        // Angled jaws in cushion colour, cut into the cloth at each mouth
+        fill(139, 69, 19);
+        noStroke();
+        this.cushionBodies.filter(body => body.plugin.jaw).forEach(jaw => {
+            beginShape();
+            jaw.vertices.forEach(point => vertex(point.x, point.y));
+            endShape(CLOSE);
+        });
+        
+
         // First draw the transparent green circles around pockets for visual effect 
         fill(0, 255, 0, 50); // Transparent green
         noStroke();
@@ -224,6 +305,39 @@ class Table {
         return (x <= baulkX && distanceFromCenter <= dRadius);
     }
     
+    // Check if position is on the cloth behind the baulk line
+    isBehindBaulkLine(x, y) {
+        return this.isOnCloth(x, y) && x <= this.x + this.length * 0.25;
+    }
+    
+    // Check if a ball at this position would sit on the cloth clear of the cushions
+    isOnCloth(x, y) {
+        let faces = this.getCushionFaces();
+        return x >= faces.left + this.ballRadius && x <= faces.right - this.ballRadius &&
+               y >= faces.top + this.ballRadius && y <= faces.bottom - this.ballRadius;
+    }
+    
+    // Highlight the area behind the baulk line for cue ball placement
+    drawBaulkHighlight() {
+        let faces = this.getCushionFaces();
+        fill(255, 255, 0, 50);
+        noStroke();
+        rect(faces.left, faces.top, this.x + this.length * 0.25 - faces.left, faces.bottom - faces.top);
+    }
+    
+    // Highlight the whole cloth for ball in hand
+    drawClothHighlight() {
+        let faces = this.getCushionFaces();
+        fill(255, 255, 0, 30);
+        noStroke();
+        rect(faces.left, faces.top, faces.right - faces.left, faces.bottom - faces.top);
+    }
+    
+    // Get D zone centre (on the baulk line) and radius
+    getDZone() {
+        return { x: this.x + this.length * 0.25, y: this.y + this.width/2, radius: 80 };
+    }
+    
     // Check if ball position is valid (not in D area, not near pockets)
     isValidBallPosition(x, y) {
         let baulkX = this.x + this.length * 0.25;
@@ -255,30 +369,31 @@ class Table {
     
     // Get red ball triangle formation positions
     getRedBallTrianglePositions() {
+        return this.getRackPositions([1, 2, 3, 4, 5]);// Standard snooker triangle has 5 rows
+    }
+    
+    // Get rack positions row by row from the apex on the foot spot - rowSizes gives the balls in each row
+    getRackPositions(rowSizes) {
         let positions = [];
-        // Triangle formation for red balls (following snooker rules)
-        let triangleStartX = this.x + this.length * 0.75;
-        let triangleStartY = this.y + this.width * 0.5;
-        let ballIndex = 0;
-        let rows = 5; // Standard snooker triangle has 5 rows
+        let apex = this.getFootSpot();
         
-        for (let row = 0; row < rows; row++) {
-            let ballsInRow = row + 1;
-            let rowStartY = triangleStartY - (ballsInRow - 1) * this.ballRadius;
-            
+        rowSizes.forEach((ballsInRow, row) => {
+            let rowStartY = apex.y - (ballsInRow - 1) * this.ballRadius;
             for (let col = 0; col < ballsInRow; col++) {
-                if (ballIndex < 15) {
-                    positions.push({
-                        x: triangleStartX + row * this.ballDiameter * 0.87, 
-                        y: rowStartY + col * this.ballDiameter
-                    });
-                    ballIndex++;
-                }
+                positions.push({
+                    x: apex.x + row * this.ballDiameter * 0.87, 
+                    y: rowStartY + col * this.ballDiameter
+                });
             }
-        }
+        });
         return positions;
     }
     
+    // Get the foot spot at the apex of the rack
+    getFootSpot() {
+        return { x: this.x + this.length * 0.75, y: this.y + this.width * 0.5 };
+    }
+    
     // Generate random valid position for ball placement
     getRandomValidPosition() {
         let validPosition = false;
@@ -286,8 +401,8 @@ class Table {
         let x, y;
         
         while (!validPosition && attempts < 100) {  // Try up to 100 times
-            x = random(this.x + this.ballRadius + 50, this.x + this.length - this.ballRadius - 50);
-            y = random(this.y + this.ballRadius + 50, this.y + this.width - this.ballRadius - 50);
+            x = this.rng.random(this.x + this.ballRadius + 50, this.x + this.length - this.ballRadius - 50);
+            y = this.rng.random(this.y + this.ballRadius + 50, this.y + this.width - this.ballRadius - 50);
             
             if (this.isValidBallPosition(x, y)) {
                 validPosition = true;
@@ -0,0 +1,307 @@
+/**
+ * headless.js - Headless Simulation Mode for Snooker Game
+ * Runs the game logic and physics under Node without a browser or canvas
+ * so shots and whole frames can be simulated in batch
+ *
+ * Usage: node headless.js [--seed 42] [--mode 1] [--game snooker] [--shots 50] [--obstacles] [--verbose]
+ * Or from another script: const { HeadlessSimulation } = require('./headless.js');
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+//////////////////////////////////////////////////
+// P5.JS REPLACEMENTS
+//////////////////////////////////////////////////
+
+// Minimal p5.Vector used by the ball trail prediction
+class Vector {
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+    }
+
+    copy() { return new Vector(this.x, this.y); }
+    add(v) { this.x += v.x; this.y += v.y; return this; }
+    sub(v) { this.x -= v.x; this.y -= v.y; return this; }
+    mult(s) { this.x *= s; this.y *= s; return this; }
+    mag() { return Math.sqrt(this.x * this.x + this.y * this.y); }
+    heading() { return Math.atan2(this.y, this.x); }
+    normalize() {
+        let length = this.mag();
+        if (length > 0) this.mult(1 / length);
+        return this;
+    }
+
+    static add(a, b) { return new Vector(a.x + b.x, a.y + b.y); }
+    static sub(a, b) { return new Vector(a.x - b.x, a.y - b.y); }
+    static mult(v, s) { return new Vector(v.x * s, v.y * s); }
+    static dot(a, b) { return a.x * b.x + a.y * b.y; }
+}
+
+// Globals the game scripts expect from p5.js - drawing is never called headless
+function installGlobals() {
+    Object.assign(global, {
+        // Canvas and input state
+        width: 1200,
+        height: 600,
+        deltaTime: 1000 / 60,// One fixed physics step per update
+        mouseX: 0,
+        mouseY: 0,
+        key: '',
+        keyCode: 0,
+
+        // Maths helpers
+        PI: Math.PI,
+        TWO_PI: Math.PI * 2,
+        HALF_PI: Math.PI / 2,
+        sin: Math.sin,
+        cos: Math.cos,
+        atan2: Math.atan2,
+        sqrt: Math.sqrt,
+        abs: Math.abs,
+        floor: Math.floor,
+        round: Math.round,
+        min: Math.min,
+        max: Math.max,
+        int: n => parseInt(n, 10),
+        dist: (x1, y1, x2, y2) => Math.hypot(x2 - x1, y2 - y1),
+        constrain: (n, low, high) => Math.max(Math.min(n, high), low),
+        map: (n, start1, stop1, start2, stop2) => start2 + (n - start1) / (stop1 - start1) * (stop2 - start2),
+        createVector: (x, y) => new Vector(x, y),
+        p5: { Vector: Vector },
+
+        // No canvas or URL in Node
+        createCanvas: () => null,
+        getURLParams: () => ({})
+    });
+    global.Matter = require('./libraries/matter.min.js');
+}
+
+// Load the game scripts in the same order as index.html
+function loadGameScripts() {
+    let html = fs.readFileSync(path.join(__dirname, 'index.html'), 'utf8');
+    let scripts = [...html.matchAll(/<script src="([^"]+)"/g)]
+        .map(match => match[1])
+        .filter(src => !src.startsWith('libraries/'));// Libraries are provided above
+
+    scripts.forEach(src => {
+        let code = fs.readFileSync(path.join(__dirname, src), 'utf8');
+        vm.runInThisContext(code, { filename: src });
+    });
+}
+
+installGlobals();
+loadGameScripts();
+const GameManager = vm.runInThisContext('GameManager');
+
+//////////////////////////////////////////////////
+// HEADLESS SIMULATION
+//////////////////////////////////////////////////
+
+class HeadlessSimulation {
+    // Constructor for HeadlessSimulation class - creates a game with no canvas
+    // Obstacles are off by default so shots only depend on the seed and the table
+    // Throws for an unknown game type instead of quietly playing snooker
+    constructor(options = {}) {
+        this.gameManager = new GameManager(options.seed !== undefined ? options.seed : Date.now());
+        this.gameManager.initialize();
+
+        let gameType = options.game || "snooker";
+        let gameTypes = this.gameManager.getGameTypes();
+        if (!gameTypes.includes(gameType)) {
+            throw new Error(`Unknown game type "${gameType}" - valid names are ${gameTypes.map(name => `"${name}"`).join(", ")}`);
+        }
+        this.gameManager.getBallPrediction().enabled = false;// Nothing to draw
+
+        if (!options.obstacles) {
+            this.gameManager.getDynamicObstacles().disable();
+        }
+        this.gameManager.setDisplayMode(options.mode || 1, gameType);
+        this.maxStepsPerShot = options.maxStepsPerShot || 6000;// Give up on shots that never settle
+        this.maxDecisions = 10;// Decisions answered before a shot - stops a decision that never clears
+    }
+
+    // Place cue ball in the D zone - returns false for an invalid position
+    placeCueBall(x, y) {
+        return this.gameManager.placeCueBall(x, y);
+    }
+
+    // Shoot the cue ball towards a point and run until all balls stop
+    shoot(targetX, targetY, power) {
+        let cueBall = this.gameManager.getBallManager().getCueBall();
+        if (!cueBall.body || this.gameManager.isAwaitingDecision() || this.gameManager.currentShot) {
+            return null;
+        }
+
+        // Cue points away from the aim point, the same as aiming with the mouse
+        this.gameManager.getCue().updateAngle(targetX, targetY, cueBall);
+        global.mouseX = targetX;
+        global.mouseY = targetY;
+        this.gameManager.takeShot(power);
+        return this.runUntilRest();
+    }
+
+    // Step the game until the shot is scored - returns the shot outcome
+    runUntilRest() {
+        let steps = 0;
+        while (this.gameManager.currentShot && steps < this.maxStepsPerShot) {
+            this.gameManager.update();
+            steps++;
+        }
+        this.gameManager.update();// Let cue and snooker state catch up at rest
+
+        if (this.gameManager.currentShot) {
+            console.log(`HEADLESS: Shot did not settle within ${this.maxStepsPerShot} steps`);
+            return null;
+        }
+        return this.describeShot(this.gameManager.getLastShotResult(), steps);
+    }
+
+    // Plain summary of a shot result with ball ids instead of ball objects
+    describeShot(result, steps) {
+        return {
+            player: result.playerIndex,
+            ballOn: result.ballOn,
+            firstContact: result.firstContact ? result.firstContact.id : null,
+            potted: result.pottedBalls.map(ball => ball.id),
+            offTable: result.ballsOffTable.map(ball => ball.id),
+            foul: result.foul ? result.foul.reasons : null,
+            penalty: result.foul ? result.foul.penalty : 0,
+            steps: steps
+        };
+    }
+
+    // Answer pending decisions the way a player would by clicking or pressing a key
+    // Miss: play from here. Free ball: nominate the first ball that is not on.
+    // Playing on after a miss can lead straight to a free ball, so keep going until none is left
+    resolveDecision() {
+        let gameManager = this.gameManager;
+        for (let decision = 0; decision < this.maxDecisions && this.isAwaitingDecision(); decision++) {
+            if (gameManager.getGameState() === "MISS_DECISION") {
+                gameManager.playFromHere();
+            } else if (gameManager.getGameState() === "NOMINATE_FREE_BALL") {
+                let ballsOn = gameManager.getRuleSet().getBallsOn(gameManager.getBallManager());
+                let ball = gameManager.getBallManager().getBallsOnTable()
+                    .find(ball => !ballsOn.includes(ball)) ||
+                    gameManager.getBallManager().getBallsOnTable()[0];
+                let position = ball.getPosition();
+                gameManager.nominateFreeBall(position.x, position.y);
+            }
+        }
+    }
+
+    // Why the next shot cannot be played - null when it can
+    getShotBlocker() {
+        let gameManager = this.gameManager;
+        if (this.isFrameOver()) return "frame over";
+        if (gameManager.currentShot) return "last shot did not settle";
+        if (this.isAwaitingDecision()) return `waiting for a decision (${gameManager.getGameState()})`;
+        if (!gameManager.getBallManager().getCueBall().body) return "no valid spot for the cue ball";
+        return null;
+    }
+
+    // Current scores, ball on and ball positions
+    getState() {
+        let gameManager = this.gameManager;
+        let frameManager = gameManager.getFrameManager();
+        let ballManager = gameManager.getBallManager();
+        let balls = ballManager.getBallsOnTable();
+        if (ballManager.getCueBall().body) balls.push(ballManager.getCueBall());
+
+        return {
+            gameState: gameManager.getGameState(),
+            scores: frameManager.getPlayers().map(player => player.score),
+            currentPlayer: frameManager.getCurrentPlayerIndex(),
+            ballOn: gameManager.getRuleSet().getBallOn(ballManager),
+            frameOver: frameManager.isFrameOver(),
+            balls: balls.map(ball => {
+                let position = ball.getPosition();
+                return { id: ball.id, x: Number(position.x.toFixed(2)), y: Number(position.y.toFixed(2)) };
+            })
+        };
+    }
+
+    // Getter methods for simulation information
+    getGameManager() { return this.gameManager; }// Get underlying game manager
+    needsCueBall() { return this.gameManager.getGameState() === "PLACE_CUE_BALL"; }// Check if ball in hand
+    isFrameOver() { return this.gameManager.getFrameManager().isFrameOver(); }// Check if frame is decided
+    isAwaitingDecision() { return this.gameManager.isAwaitingDecision() && this.gameManager.getGameState() !== "FRAME_OVER"; }// Check if a miss or free ball choice is pending
+}
+
+//////////////////////////////////////////////////
+// COMMAND LINE BATCH RUNNER
+//////////////////////////////////////////////////
+
+// Read --name value options from the command line
+function parseArguments(args) {
+    let options = { seed: 1, mode: 1, game: "snooker", shots: 50, obstacles: false, verbose: false };
+    for (let i = 0; i < args.length; i++) {
+        let name = args[i].replace(/^--/, '');
+        if (name === 'obstacles' || name === 'verbose') {
+            options[name] = true;
+        } else if (name === 'game') {
+            options.game = args[++i];
+        } else if (name in options) {
+            options[name] = Number(args[++i]);
+        }
+    }
+    return options;
+}
+
+// Play random shots at balls on - the same seed always gives the same frame
+function runBatch(options) {
+    let log = console.log;
+    let simulation, gameManager;
+    let stopReason = null;// Why the batch ended before --shots
+
+    if (!options.verbose) console.log = () => {};// Game logs every event
+    try {
+        simulation = new HeadlessSimulation(options);
+        gameManager = simulation.getGameManager();
+        let rng = gameManager.getRandom();
+        let dZone = gameManager.getTable().getDZone();// Valid for ball in hand in every game type
+
+        for (let shot = 1; shot <= options.shots && !simulation.isFrameOver(); shot++) {
+            simulation.resolveDecision();
+
+            // Ball in hand - try random spots in the D until one is valid
+            for (let attempt = 0; attempt < 100 && simulation.needsCueBall(); attempt++) {
+                simulation.placeCueBall(dZone.x - rng.random(dZone.radius), dZone.y + rng.random(-dZone.radius, dZone.radius));
+            }
+
+            let targets = gameManager.getRuleSet().getBallsOn(gameManager.getBallManager());
+            let target = (targets.length > 0 ? rng.random(targets) : gameManager.getBallManager().getBallsOnTable()[0]).getPosition();
+            let result = simulation.shoot(target.x, target.y, rng.random(30, 90));
+            if (!result) {
+                stopReason = `${simulation.getShotBlocker() || "shot refused"} before shot ${shot}`;
+                break;
+            }
+
+            let state = simulation.getState();
+            log(`Shot ${shot}: P${result.player + 1} on ${result.ballOn} - hit ${result.firstContact || 'nothing'}` +
+                (result.potted.length ? `, potted ${result.potted.join(' ')}` : '') +
+                (result.foul ? `, FOUL (${result.foul.join('; ')})` : '') +
+                `  [${state.scores[0]}-${state.scores[1]}]`);
+        }
+    } finally {
+        console.log = log;// Put the caller's logging back even when a shot throws
+    }
+
+    let state = simulation.getState();
+    log(`Seed ${gameManager.getRandom().getSeed()}: ${state.frameOver ? 'frame over' : 'stopped'} at ${state.scores[0]}-${state.scores[1]}` +
+        (stopReason ? ` - ${stopReason}` : ''));
+    return state;
+}
+
+if (require.main === module) {
+    try {
+        runBatch(parseArguments(process.argv.slice(2)));
+    } catch (error) {
+        console.error(`headless.js: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { HeadlessSimulation, runBatch };
\ No newline at end of file
@@ -0,0 +1,204 @@
+/**
+ * headless.test.js - Automated Checks for Snooker Game
+ * Plays seeded frames through the headless simulation and checks that the game
+ * behaves the same way every time. Exits with code 1 when a check fails
+ *
+ * Usage: node headless.test.js
+ */
+
+const assert = require('assert');
+const { HeadlessSimulation, runBatch } = require('./headless.js');
+
+const checks = [];// Name and function of every check, run in order
+
+// Add a check to the run
+function check(name, run) {
+    checks.push({ name: name, run: run });
+}
+
+// Run a batch and keep the lines it prints - the game's own log stays quiet
+function captureBatch(options) {
+    let lines = [];
+    let log = console.log;
+    console.log = line => lines.push(line);
+    try {
+        let state = runBatch(Object.assign({ mode: 1, game: "snooker", obstacles: false, verbose: false }, options));
+        return { lines: lines, state: state };
+    } finally {
+        console.log = log;
+    }
+}
+
+// Run a function with the game's event log switched off
+function quietly(run) {
+    let log = console.log;
+    console.log = () => {};
+    try {
+        return run();
+    } finally {
+        console.log = log;
+    }
+}
+
+//////////////////////////////////////////////////
+// DETERMINISM
+//////////////////////////////////////////////////
+
+check("same seed plays the same batch", () => {
+    let first = captureBatch({ seed: 7, shots: 20 });
+    let second = captureBatch({ seed: 7, shots: 20 });
+    assert.ok(first.lines.length > 1, "batch printed no shots");
+    assert.deepStrictEqual(second.lines, first.lines);
+    assert.deepStrictEqual(second.state, first.state);
+});
+
+check("same seed racks the same random layout", () => {
+    let first = quietly(() => new HeadlessSimulation({ seed: 99, mode: 3 }).getState());
+    let second = quietly(() => new HeadlessSimulation({ seed: 99, mode: 3 }).getState());
+    let other = quietly(() => new HeadlessSimulation({ seed: 100, mode: 3 }).getState());
+    assert.deepStrictEqual(second.balls, first.balls);
+    assert.notDeepStrictEqual(other.balls, first.balls);
+});
+
+check("batch restores console.log when a shot throws", () => {
+    let log = console.log;
+    let shoot = HeadlessSimulation.prototype.shoot;
+    HeadlessSimulation.prototype.shoot = () => { throw new Error("Shot failed"); };
+    try {
+        assert.throws(() => runBatch({ seed: 1, mode: 1, game: "snooker", shots: 1 }), /Shot failed/);
+    } finally {
+        HeadlessSimulation.prototype.shoot = shoot;
+    }
+    assert.strictEqual(console.log, log);
+});
+
+//////////////////////////////////////////////////
+// GAME TYPES
+//////////////////////////////////////////////////
+
+check("unknown game type is rejected", () => {
+    assert.throws(() => quietly(() => new HeadlessSimulation({ seed: 1, game: "pool" })), /valid names are "snooker"/);
+});
+
+check("pool mode 2 keeps the key ball on the foot spot", () => {
+    [["8-ball", "ball_8"], ["9-ball", "ball_9"]].forEach(([game, keyBall]) => {
+        let simulation = quietly(() => new HeadlessSimulation({ seed: 5, mode: 2, game: game }));
+        let footSpot = simulation.getGameManager().getTable().getFootSpot();
+        let onSpot = simulation.getState().balls.filter(ball => Math.hypot(ball.x - footSpot.x, ball.y - footSpot.y) < 1);
+        assert.deepStrictEqual(onSpot.map(ball => ball.id), [keyBall]);
+    });
+});
+
+//////////////////////////////////////////////////
+// SAVE AND LOAD
+//////////////////////////////////////////////////
+
+// Play a few shots at the first ball on so the saved game is part way through a frame
+function playShots(simulation, count) {
+    let gameManager = simulation.getGameManager();
+    let dZone = gameManager.getTable().getDZone();
+    for (let shot = 0; shot < count && !simulation.isFrameOver(); shot++) {
+        simulation.resolveDecision();
+        if (simulation.needsCueBall()) simulation.placeCueBall(dZone.x - dZone.radius / 2, dZone.y);
+        let target = gameManager.getRuleSet().getBallsOn(gameManager.getBallManager())[0].getPosition();
+        simulation.shoot(target.x, target.y, 60);
+    }
+}
+
+// Saved game as it would be written to a file
+function saveToJSON(gameManager) {
+    let data = gameManager.getSaveData();
+    delete data.savedAt;// Differs between saves of the same game
+    return JSON.parse(JSON.stringify(data));
+}
+
+check("saved game loads back unchanged", () => {
+    quietly(() => {
+        let saved = new HeadlessSimulation({ seed: 3 });
+        playShots(saved, 4);
+        let data = saveToJSON(saved.getGameManager());
+
+        let loaded = new HeadlessSimulation({ seed: 4, game: "9-ball" });
+        assert.strictEqual(loaded.getGameManager().loadSaveData(data), true);
+        assert.deepStrictEqual(saveToJSON(loaded.getGameManager()), data);
+        assert.deepStrictEqual(loaded.getState(), saved.getState());
+    });
+});
+
+check("bad saved values are refused and the game is kept", () => {
+    quietly(() => {
+        let simulation = new HeadlessSimulation({ seed: 3 });
+        playShots(simulation, 2);
+        let gameManager = simulation.getGameManager();
+        let data = saveToJSON(gameManager);
+
+        [
+            game => { game.frame.currentPlayerIndex = 7; },
+            game => { game.frame.winnerIndex = 5; },
+            game => { game.gameState = "BOGUS"; },
+            game => { game.frame.ballOn = 42; },
+            game => { game.frame.players[1].score = "lots"; },
+            game => { game.gameType = "8-ball"; game.rules = { breakShot: true, ballInHandAnywhere: false, groups: ["spots"] }; }
+        ].forEach(spoil => {
+            let bad = JSON.parse(JSON.stringify(data));
+            spoil(bad);
+            assert.strictEqual(gameManager.loadSaveData(bad), false);
+            assert.deepStrictEqual(saveToJSON(gameManager), data);
+        });
+        gameManager.getFrameManager().getCurrentPlayer().name;// Still readable by draw
+    });
+});
+
+//////////////////////////////////////////////////
+// POSITION EDITOR
+//////////////////////////////////////////////////
+
+check("editor keeps the D for the cue ball and the baulk colours", () => {
+    let gameManager = quietly(() => new HeadlessSimulation({ seed: 1 })).getGameManager();
+    let ballManager = gameManager.getBallManager();
+    let table = gameManager.getTable();
+    let editor = gameManager.getPositionEditor();
+    let dZone = table.getDZone();
+    let brown = ballManager.getColoredBalls().find(ball => ball.id === 'brown');
+    let brownSpot = table.getBallSpotPosition('brown');
+    let red = ballManager.getRedBalls()[0];
+
+    quietly(() => {
+        editor.start(ballManager);
+        ballManager.removeBall(brown);
+        ballManager.removeBall(red);
+    });
+    assert.strictEqual(editor.isValidPlacement(ballManager.getCueBall(), dZone.x - 40, dZone.y + 20, ballManager), true);
+    assert.strictEqual(editor.isValidPlacement(brown, brownSpot.x - 10, brownSpot.y, ballManager), true);
+    assert.strictEqual(editor.isValidPlacement(brown, dZone.x - 70, dZone.y, ballManager), false);
+    assert.strictEqual(editor.isValidPlacement(red, dZone.x - 40, dZone.y + 20, ballManager), false);
+});
+
+check("edited layout without reds starts on the lowest colour left", () => {
+    quietly(() => {
+        let gameManager = new HeadlessSimulation({ seed: 1 }).getGameManager();
+        let ballManager = gameManager.getBallManager();
+        gameManager.startEditing();
+        ballManager.getRedBalls().slice().forEach(ball => ballManager.removeBall(ball));
+        ballManager.removeBall(ballManager.getColoredBalls().find(ball => ball.id === 'yellow'));
+        gameManager.finishEditing();
+        assert.strictEqual(gameManager.getFrameManager().getBallOn(), 'green');
+    });
+});
+
+//////////////////////////////////////////////////
+// RUNNER
+//////////////////////////////////////////////////
+
+let failures = 0;
+checks.forEach(({ name, run }) => {
+    try {
+        run();
+        console.log(`ok - ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`FAILED - ${name}\n${error.stack}`);
+    }
+});
+console.log(`${checks.length - failures} of ${checks.length} checks passed`);
+process.exitCode = failures > 0 ? 1 : 0;
\ No newline at end of file
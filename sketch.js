@@ -21,17 +21,21 @@
  * the entire system. This separation ensures clean and maintainable code.
  * 
  * Physics Integration: I chose Matter.js for realistic ball dynamics, implementing proper 
- * restitution (0.8), friction (0.25), and air resistance (0.015) values. The physics engine 
+ * restitution (0.8) and friction (0.25) values. The physics engine 
  * runs without gravity to simulate a horizontal table surface accurately. Cushion collisions 
- * use high restitution (0.95) for authentic bouncing behavior.
+ * use high restitution (0.95) for authentic bouncing behavior. Instead of a constant air drag, 
+ * each ball slides until cloth friction makes it roll, then rolling resistance brings it to rest, 
+ * which is also what spin (top, draw, side and swerve) acts on.
  * 
  * UNIQUE EXTENSIONS:
  * 
  * Extension 1 - Ball Trail Prediction System: This is a physics-based trajectory prediction 
- * that calculates where the cue ball will travel before shooting. It simulates ball movement 
- * step-by-step, including cushion bounces with proper reflection mathematics, friction application, 
- * and energy loss calculations. The system displays different colored trail segments for each 
- * bounce, providing players with strategic shot planning capabilities. The prediction  
+ * that calculates where the cue ball will travel before shooting. It plays the shot out 
+ * step-by-step in a throwaway copy of the physics world, with the same ball and cushion bodies, 
+ * friction and time step as the real shot, so the trail matches what happens. The system displays different colored trail segments for each 
+ * bounce, providing players with strategic shot planning capabilities. The first object ball 
+ * in the path is marked with a ghost ball at the contact point, together with the object ball's 
+ * line and the cue ball's deflected path. The prediction  
  * updates in real-time based on cue power and adjusts dynamically during power charging.
  * 
  * Extension 2 - Dynamic Obstacle System: I created spinning rectangular obstacles that spawn 
@@ -54,8 +58,8 @@
  * colored ball re-spotting with collision avoidance, and consecutive colored ball mistake 
  * detection.
  * 
- * The random ball positioning system uses p5.js's random() function with collision avoidance 
- * algorithms. Mode 2 randomly positions red balls while maintaining colored balls on their 
+ * The random ball positioning system uses a seeded random generator (same arguments as p5.js's 
+ * random()) with collision avoidance algorithms. Mode 2 randomly positions red balls while maintaining colored balls on their 
  * designated spots. Mode 3 randomizes all balls with validation checks to prevent spawning 
  * near pockets or the D-zone, ensuring fair gameplay across positioning modes. The system 
  * attempts up to 100 placement iterations per ball to find valid positions.
@@ -75,6 +79,8 @@ var Body = Matter.Body;
 var Mouse = Matter.Mouse;
 var MouseConstraint = Matter.MouseConstraint;
 var Constraint = Matter.Constraint;
+var Events = Matter.Events;
+var Composite = Matter.Composite;
 
 var engine;// Physics engine (global reference for all components)
 
@@ -88,7 +94,7 @@ var gameManager;// Main game manager instance
 
 // p5.js setup function - initialize entire game system
 function setup() { 
-    gameManager = new GameManager();
+    gameManager = new GameManager(getURLParams().seed);// Optional ?seed=123 in the URL for repeatable games
     gameManager.initialize();
 }
 
@@ -103,6 +109,14 @@ function mousePressed() { // Handle mouse click events
     gameManager.handleMousePressed();
 }
 
+function mouseDragged() { // Handle mouse drag events
+    gameManager.handleMouseDragged();
+}
+
+function mouseReleased() { // Handle mouse release events
+    gameManager.handleMouseReleased();
+}
+
 function keyPressed() { // Handle key press events
     gameManager.handleKeyPressed();
 }